@@ -3,10 +3,12 @@ import { defineConfig } from 'astro/config';
 import starlight from '@astrojs/starlight';
 
 import node from '@astrojs/node';
+import apiDocsWatch from './src/integrations/api-docs-watch.js';
 
 // https://astro.build/config
 export default defineConfig({
   integrations: [
+      apiDocsWatch(),
       starlight({
           title: 'WP Engine Customer API',
           description: 'Documentation for the WP Engine Customer API',
@@ -29,7 +31,10 @@ export default defineConfig({
                       { label: 'Overview', link: '/api-reference/overview/' },
                       { label: 'Authentication', link: '/api-reference/authentication/' },
                       { label: 'Pagination', link: '/api-reference/pagination/' },
+                      { label: 'Rate Limiting', link: '/api-reference/rate-limiting/' },
                       { label: 'Endpoints', link: '/api-reference/endpoints/' },
+                      { label: 'Models', link: '/api-reference/models/' },
+                      { label: 'Changelog', link: '/api-reference/changelog/' },
                   ],
               },
               {
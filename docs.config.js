@@ -0,0 +1,66 @@
+/**
+ * Documentation toolchain configuration, read by `capi-docs` (scripts/cli.js).
+ *
+ * Paths are relative to this file. Remove a key to fall back to the tool's default.
+ */
+export default {
+  spec: {
+    // Specification as published by the API team
+    source: 'openapi/v1.yaml',
+    // Sanitized public copy the pages are generated from
+    public: 'public/openapi/v1.yaml',
+    sanitizeRules: 'config/spec-sanitize.yaml'
+  },
+  output: {
+    contentDir: 'src/content/docs',
+    // Static files served from the site root
+    publicDir: 'public',
+    endpointsDir: 'src/content/docs/api-reference/endpoints',
+    modelsDir: 'src/content/docs/api-reference/models',
+    rateLimitingPage: 'src/content/docs/api-reference/rate-limiting.mdx',
+    parsedData: '.temp/parsed-openapi.json',
+    manifest: '.docs-manifest.json'
+  },
+  navigation: {
+    astroConfig: 'astro.config.mjs'
+  },
+  changelog: {
+    // Changes recorded per spec version, and the version and hash of the spec last compared
+    dataFile: 'data/api-changelog.json',
+    pagesDir: 'src/content/docs/api-reference/changelog',
+    // Atom feed; set siteUrl to give its links absolute URLs
+    feed: 'public/api-changelog.xml',
+    siteUrl: ''
+  },
+  diff: {
+    // Where `capi-docs diff` writes its results and change reports
+    outputDir: '.temp/change-detection',
+    // Report formats: markdown, html, json, sarif
+    formats: ['markdown', 'html', 'json', 'sarif'],
+    // Accepted breaking changes, with expiry dates and justifications
+    suppressions: 'config/breaking-change-suppressions.yaml'
+  },
+  lint: {
+    // Rule id: 'off', a severity (error, warning, info) or [severity, options]
+    rules: {},
+    // Extra rules: module paths, [path, options] pairs or inline rule objects
+    plugins: []
+  },
+  templates: {
+    dir: 'templates',
+    // Layers inside `dir`, searched in order for templates and `partials/`
+    layers: ['custom', 'base'],
+    // Replace individual templates, e.g. { endpoint: 'acme/endpoint.mdx' } (relative to `dir`)
+    overrides: {},
+    // Modules whose default export registers extra Handlebars helpers
+    helpers: []
+  },
+  // Generator plugins: module paths, [path, options] pairs or inline plugin objects
+  plugins: [],
+  // Code example tabs, in order: curl, php, python, nodejs
+  languages: ['curl', 'php', 'python', 'nodejs'],
+  branding: {
+    apiName: 'WP Engine Customer API',
+    companyName: 'WP Engine'
+  }
+};
@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+
+import fs from 'fs-extra';
+import yaml from 'js-yaml';
+import chalk from 'chalk';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { SpecBundler } from './utils/spec-bundler.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const DEFAULT_SOURCE_PATH = path.resolve(__dirname, '../openapi/v1.yaml');
+
+/**
+ * OpenAPI Spec Bundler CLI for WP Engine Customer API Documentation
+ *
+ * Follows relative-file `$ref`s in a multi-file specification and emits a single
+ * bundled document, e.g. for Swagger UI at `/openapi/v1.yaml`.
+ *
+ * Usage: node scripts/bundle-spec.js [spec-path] [--output <file>] [--format yaml|json]
+ * (or `capi-docs bundle`, which defaults to the configured source spec)
+ */
+
+/**
+ * Serialize a bundled document
+ */
+export function serialize(document, format) {
+  if (format === 'json') {
+    return JSON.stringify(document, null, 2) + '\n';
+  }
+
+  return yaml.dump(document, { lineWidth: -1, noRefs: true });
+}
+
+/**
+ * Get the value following a CLI flag
+ */
+function getFlagValue(args, flag) {
+  const index = args.indexOf(flag);
+  return index !== -1 ? args[index + 1] : undefined;
+}
+
+/**
+ * Main execution function
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const flagValues = ['--output', '-o', '--format'].map(flag => getFlagValue(args, flag));
+  const positional = args.filter(arg => !arg.startsWith('-') && !flagValues.includes(arg));
+
+  const specPath = path.resolve(positional[0] || DEFAULT_SOURCE_PATH);
+  const outputPath = getFlagValue(args, '--output') || getFlagValue(args, '-o');
+  const format = getFlagValue(args, '--format')
+    || (outputPath && path.extname(outputPath) === '.json' ? 'json' : 'yaml');
+
+  try {
+    const bundled = new SpecBundler(specPath).bundle();
+
+    if (!bundled || typeof bundled !== 'object') {
+      throw new Error('Specification file appears to be empty or invalid');
+    }
+
+    const content = serialize(bundled, format);
+
+    if (!outputPath) {
+      process.stdout.write(content);
+      return;
+    }
+
+    await fs.ensureDir(path.dirname(path.resolve(outputPath)));
+    await fs.writeFile(outputPath, content, 'utf8');
+    console.log(chalk.green(`✅ Bundled ${path.relative(process.cwd(), specPath)} → ${outputPath}`));
+  } catch (error) {
+    console.error(chalk.red('❌ Bundling failed:'), error.message);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
@@ -0,0 +1,441 @@
+#!/usr/bin/env node
+
+import fs from 'fs';
+import path from 'path';
+import chalk from 'chalk';
+import { pathToFileURL } from 'url';
+import { OpenAPIParser, DEFAULT_SPEC_PATH, DEFAULT_OUTPUT_PATH } from './parse-openapi.js';
+import { DocumentationGenerator } from './generate-docs.js';
+import { NavigationUpdater } from './update-navigation.js';
+import { ContentValidator } from './validate-content.js';
+import OpenAPIChangeDetector from './detect-changes.js';
+import { SpecHistory } from './spec-history.js';
+import { SpecLinter } from './lint-spec.js';
+import { SpecSanitizer } from './sanitize-spec.js';
+import { DEFAULT_SOURCE_PATH, serialize } from './bundle-spec.js';
+import { SpecBundler } from './utils/spec-bundler.js';
+import { REPORT_FORMATS } from './utils/diff-report.js';
+import { DocsConfig, ConfigError } from './utils/docs-config.js';
+
+/**
+ * Unified CLI for the WP Engine Customer API Documentation toolchain
+ *
+ * Usage: capi-docs <command> [options]
+ *
+ * Every command reads `docs.config.js` (or the file passed with `--config`).
+ * With `--json` progress output goes to stderr and a single JSON result
+ * object is written to stdout.
+ *
+ * Exit codes: 0 success, 1 the command failed or reported problems,
+ * 2 invalid usage or configuration.
+ */
+
+export const EXIT_CODES = {
+  success: 0,
+  failure: 1,
+  usage: 2
+};
+
+const GLOBAL_FLAGS = ['--config', '--json', '--verbose', '-v', '--help', '-h'];
+
+// Flags that take the next argument as their value
+const VALUE_FLAGS = ['--config', '--output', '--format'];
+
+/**
+ * Raised for unknown commands, flags or missing arguments
+ */
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+const BUNDLE_FORMATS = ['yaml', 'json'];
+
+const COMMANDS = {
+  sanitize: {
+    usage: 'sanitize [--output <file>] [--dry-run]',
+    description: 'Write the public spec (spec.public) from the source spec, applying spec.sanitizeRules',
+    flags: ['--output', '--dry-run'],
+    run: runSanitize
+  },
+  bundle: {
+    usage: 'bundle [spec] [--output <file>] [--format yaml|json]',
+    description: 'Bundle a multi-file spec (default: spec.source) into one document, on stdout without --output',
+    flags: ['--output', '--format'],
+    positional: true,
+    run: runBundle
+  },
+  parse: {
+    usage: 'parse',
+    description: 'Parse the public spec into structured JSON (output.parsedData)',
+    flags: [],
+    run: runParse
+  },
+  generate: {
+    usage: 'generate [--dry-run] [--force] [--keep-stale] [--watch]',
+    description: 'Generate endpoint, section and model pages',
+    flags: ['--dry-run', '--force', '--keep-stale', '--watch'],
+    run: runGenerate
+  },
+  nav: {
+    usage: 'nav [--dry-run]',
+    description: 'Rewrite the API Reference sidebar in the Astro config',
+    flags: ['--dry-run'],
+    run: runNav
+  },
+  validate: {
+    usage: 'validate',
+    description: 'Validate generated and hand-written content',
+    flags: [],
+    run: runValidate
+  },
+  diff: {
+    usage: 'diff [old-spec] <new-spec> [--output <dir>] [--format <list>] [--fail-on-version-mismatch]',
+    description: 'Detect changes between two specs (old defaults to spec.source), recommend a version bump and write reports',
+    flags: ['--output', '--format', '--fail-on-version-mismatch'],
+    positional: true,
+    run: runDiff
+  },
+  lint: {
+    usage: 'lint [spec] [--output <file>]',
+    description: 'Check a spec (default: the public spec) against the house style rules',
+    flags: ['--output'],
+    positional: true,
+    run: runLint
+  },
+  history: {
+    usage: 'history [--output <dir>] [--changelog]',
+    description: 'Build the change history of the public spec from git (--changelog backfills the changelog)',
+    flags: ['--output', '--changelog'],
+    run: runHistory
+  }
+};
+
+/**
+ * Produce the public spec from the source spec
+ */
+async function runSanitize(config, { args, flags, verbose }) {
+  const outputPath = getFlagValue(args, '--output');
+  const sanitizer = new SpecSanitizer({
+    ...config.sanitizerOptions(),
+    ...(outputPath && { outputPath: path.resolve(outputPath) }),
+    dryRun: flags.includes('--dry-run'),
+    verbose
+  });
+  await sanitizer.sanitize();
+
+  return {
+    ok: true,
+    result: {
+      sourcePath: sanitizer.options.sourcePath,
+      outputPath: sanitizer.options.outputPath,
+      dryRun: sanitizer.options.dryRun,
+      stats: sanitizer.stats
+    }
+  };
+}
+
+/**
+ * Bundle a multi-file spec into a single document
+ */
+async function runBundle(config, { args, positional, json }) {
+  if (positional.length > 1) {
+    throw new UsageError(`Usage: capi-docs ${COMMANDS.bundle.usage}`);
+  }
+
+  const specPath = path.resolve(positional[0] || config.spec.source || DEFAULT_SOURCE_PATH);
+  const outputPath = getFlagValue(args, '--output');
+  const format = getFlagValue(args, '--format')
+    || (outputPath && path.extname(outputPath) === '.json' ? 'json' : 'yaml');
+  if (!BUNDLE_FORMATS.includes(format)) {
+    throw new UsageError(`Unsupported bundle format: ${format} (supported: ${BUNDLE_FORMATS.join(', ')})`);
+  }
+
+  const bundled = new SpecBundler(specPath).bundle();
+  if (!bundled || typeof bundled !== 'object') {
+    throw new Error('Specification file appears to be empty or invalid');
+  }
+
+  // Without --output the document is the result: on stdout, or in the JSON result
+  if (!outputPath) {
+    if (!json) {
+      process.stdout.write(serialize(bundled, format));
+    }
+    return { ok: true, result: { specPath, document: bundled } };
+  }
+
+  await fs.promises.mkdir(path.dirname(path.resolve(outputPath)), { recursive: true });
+  await fs.promises.writeFile(outputPath, serialize(bundled, format), 'utf8');
+  console.log(chalk.green(`✅ Bundled ${path.relative(process.cwd(), specPath)} → ${outputPath}`));
+
+  return { ok: true, result: { specPath, outputPath: path.resolve(outputPath), format } };
+}
+
+/**
+ * Parse the spec and save the structured data
+ */
+async function runParse(config) {
+  const { specPath, outputPath } = {
+    specPath: DEFAULT_SPEC_PATH,
+    outputPath: DEFAULT_OUTPUT_PATH,
+    ...config.parserOptions()
+  };
+
+  const parser = new OpenAPIParser(specPath);
+  const data = await parser.parseSpec();
+  await parser.saveToFile(outputPath);
+
+  return { ok: true, result: { outputPath, stats: data.stats } };
+}
+
+/**
+ * Generate the documentation pages (or keep regenerating with --watch)
+ */
+async function runGenerate(config, { flags, verbose }) {
+  const generator = new DocumentationGenerator({
+    ...config.generatorOptions(),
+    dryRun: flags.includes('--dry-run'),
+    force: flags.includes('--force'),
+    keepStale: flags.includes('--keep-stale'),
+    verbose
+  });
+
+  if (flags.includes('--watch')) {
+    await generator.watch();
+    return { ok: true, keepAlive: true };
+  }
+
+  const stats = await generator.generate();
+  const untouched = stats.conflicts.filter(conflict => conflict.type !== 'orphaned-block');
+
+  return {
+    ok: stats.errors.length === 0 && untouched.length === 0,
+    result: stats
+  };
+}
+
+/**
+ * Update the sidebar navigation
+ */
+async function runNav(config, { flags, verbose }) {
+  const updater = new NavigationUpdater({
+    ...config.navigationOptions(),
+    dryRun: flags.includes('--dry-run'),
+    verbose
+  });
+
+  return { ok: true, result: await updater.update() };
+}
+
+/**
+ * Validate the content directory
+ */
+async function runValidate(config, { verbose }) {
+  const validator = new ContentValidator({ ...config.validatorOptions(), verbose });
+  const result = await validator.validate();
+
+  return { ok: result.errors.length === 0, result };
+}
+
+/**
+ * Compare two specifications
+ */
+async function runDiff(config, { args, flags, positional }) {
+  if (positional.length === 0 || positional.length > 2) {
+    throw new UsageError(`Usage: capi-docs ${COMMANDS.diff.usage}`);
+  }
+
+  const [oldSpecPath, newSpecPath] = positional.length === 2
+    ? positional
+    : [config.spec.source || 'openapi/v1.yaml', positional[0]];
+
+  const outputDir = getFlagValue(args, '--output');
+  const formats = getFlagValue(args, '--format')?.split(',');
+  const unsupported = (formats || []).filter(format => !(format in REPORT_FORMATS));
+  if (unsupported.length > 0) {
+    throw new UsageError(`Unsupported report format(s): ${unsupported.join(', ')} (supported: ${Object.keys(REPORT_FORMATS).join(', ')})`);
+  }
+
+  const detector = new OpenAPIChangeDetector({
+    ...config.diffOptions(),
+    ...(outputDir && { outputDir: path.resolve(outputDir) }),
+    ...(formats && { formats })
+  });
+  const result = await detector.detectChanges(oldSpecPath, newSpecPath);
+  const mismatch = flags.includes('--fail-on-version-mismatch') && result.summary.versioning.mismatch;
+
+  return { ok: !mismatch, result };
+}
+
+/**
+ * Lint a specification
+ */
+async function runLint(config, { args, positional, verbose }) {
+  if (positional.length > 1) {
+    throw new UsageError(`Usage: capi-docs ${COMMANDS.lint.usage}`);
+  }
+
+  const outputPath = getFlagValue(args, '--output');
+  const linter = new SpecLinter({
+    ...config.lintOptions(),
+    ...(positional[0] && { specPath: path.resolve(positional[0]) }),
+    ...(outputPath && { outputPath: path.resolve(outputPath) }),
+    verbose
+  });
+  const result = await linter.lint();
+
+  return { ok: result.errors === 0, result };
+}
+
+/**
+ * Build the change history of the public spec from its git history
+ */
+async function runHistory(config, { args, flags, verbose }) {
+  const outputDir = getFlagValue(args, '--output');
+  const history = new SpecHistory({
+    ...config.historyOptions(),
+    ...(outputDir && { outputDir: path.resolve(outputDir) }),
+    changelog: flags.includes('--changelog'),
+    verbose
+  });
+
+  return { ok: true, result: await history.run() };
+}
+
+/**
+ * Get the value following a CLI flag
+ */
+function getFlagValue(args, flag) {
+  const index = args.indexOf(flag);
+  return index !== -1 ? args[index + 1] : undefined;
+}
+
+/**
+ * Split raw arguments into command, flags and positional arguments
+ */
+function parseArgs(args) {
+  for (const flag of VALUE_FLAGS) {
+    const value = getFlagValue(args, flag);
+    if (args.includes(flag) && (!value || value.startsWith('-'))) {
+      throw new UsageError(`${flag} requires a value`);
+    }
+  }
+
+  const rest = args.filter((arg, index) => !VALUE_FLAGS.includes(args[index - 1]));
+  const [command, ...remaining] = rest.filter(arg => !arg.startsWith('-'));
+
+  return {
+    args,
+    command,
+    configPath: getFlagValue(args, '--config'),
+    flags: rest.filter(arg => arg.startsWith('-')),
+    positional: remaining,
+    json: args.includes('--json'),
+    verbose: args.includes('--verbose') || args.includes('-v'),
+    help: args.includes('--help') || args.includes('-h') || command === 'help'
+  };
+}
+
+/**
+ * Print usage information
+ */
+function printHelp() {
+  console.log(chalk.bold('Usage: capi-docs <command> [options]\n'));
+  console.log('Commands:');
+  for (const command of Object.values(COMMANDS)) {
+    // Long usages get the description on the next line
+    const usage = command.usage.length > 55 ? `${command.usage}\n${' '.repeat(57)}` : command.usage.padEnd(55);
+    console.log(`  ${usage} ${chalk.gray(command.description)}`);
+  }
+  console.log('\nOptions:');
+  console.log(`  ${'--config <file>'.padEnd(55)} ${chalk.gray('Config file (default: docs.config.js in the current directory)')}`);
+  console.log(`  ${'--json'.padEnd(55)} ${chalk.gray('Print a JSON result on stdout, progress on stderr')}`);
+  console.log(`  ${'--verbose, -v'.padEnd(55)} ${chalk.gray('Verbose output')}`);
+  console.log(`\nExit codes: ${EXIT_CODES.success} success, ${EXIT_CODES.failure} failure or problems found, ${EXIT_CODES.usage} invalid usage or config`);
+}
+
+/**
+ * Run a CLI invocation and return its exit code (`null` while watching)
+ */
+export async function run(args) {
+  let parsed = { json: args.includes('--json'), command: undefined };
+  let stdoutLog = null;
+
+  const finish = (exitCode, body) => {
+    if (stdoutLog) {
+      console.log = stdoutLog;
+    }
+    if (parsed.json) {
+      process.stdout.write(JSON.stringify({ command: parsed.command ?? null, exitCode, ...body }, null, 2) + '\n');
+    }
+    return exitCode;
+  };
+
+  try {
+    parsed = parseArgs(args);
+
+    if (parsed.help) {
+      printHelp();
+      return EXIT_CODES.success;
+    }
+
+    const command = COMMANDS[parsed.command];
+    if (!command) {
+      throw new UsageError(parsed.command
+        ? `Unknown command "${parsed.command}" (expected one of: ${Object.keys(COMMANDS).join(', ')})`
+        : 'No command given; run capi-docs --help');
+    }
+
+    const unknownFlags = parsed.flags.filter(flag => !GLOBAL_FLAGS.includes(flag) && !command.flags.includes(flag));
+    if (unknownFlags.length > 0) {
+      throw new UsageError(`Unknown option(s) for ${parsed.command}: ${unknownFlags.join(', ')}`);
+    }
+    if (parsed.json && parsed.flags.includes('--watch')) {
+      throw new UsageError('--watch cannot be combined with --json');
+    }
+    if (parsed.positional.length > 0 && !command.positional) {
+      throw new UsageError(`Unexpected argument(s) for ${parsed.command}: ${parsed.positional.join(' ')}`);
+    }
+
+    const config = await DocsConfig.load({ configPath: parsed.configPath });
+
+    // Keep stdout clean for the JSON result
+    if (parsed.json) {
+      stdoutLog = console.log;
+      console.log = console.error;
+    }
+
+    const outcome = await command.run(config, parsed);
+    if (outcome.keepAlive) {
+      return null;
+    }
+
+    const exitCode = outcome.ok ? EXIT_CODES.success : EXIT_CODES.failure;
+    return finish(exitCode, { ok: outcome.ok, result: outcome.result });
+  } catch (error) {
+    const usage = error instanceof UsageError || error instanceof ConfigError;
+    const exitCode = usage ? EXIT_CODES.usage : EXIT_CODES.failure;
+
+    if (usage) {
+      console.error(chalk.red(`❌ ${error.message}`));
+    } else {
+      console.error(chalk.red(`❌ ${parsed.command} failed:`), error.message);
+      if (parsed.verbose) {
+        console.error(error.stack);
+      }
+    }
+
+    return finish(exitCode, { ok: false, error: error.message });
+  }
+}
+
+// Run if called directly (also through the `capi-docs` bin symlink)
+if (process.argv[1] && import.meta.url === pathToFileURL(fs.realpathSync(process.argv[1])).href) {
+  run(process.argv.slice(2)).then(exitCode => {
+    if (exitCode !== null) {
+      process.exitCode = exitCode;
+    }
+  });
+}
@@ -4,24 +4,43 @@
  * OpenAPI Change Detection Script
  * 
  * Compares two OpenAPI specifications and detects changes
- * Outputs results to temporary files for GitHub Actions consumption
+ * Writes the results and the change reports to an output directory for GitHub Actions consumption
  */
 
 import fs from 'fs';
-import yaml from 'js-yaml';
 import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
+import { dirname, join, resolve } from 'path';
+import { SpecBundler } from './utils/spec-bundler.js';
+import { BreakingChangeRules, encodePointer } from './utils/breaking-changes.js';
+import { SchemaDiff, getNamedSchemas } from './utils/schema-diff.js';
+import { RefResolver } from './utils/ref-resolver.js';
+import { DiffReport, REPORT_FORMATS } from './utils/diff-report.js';
+import { SuppressionList } from './utils/suppressions.js';
+import { OperationMatcher } from './utils/operation-matcher.js';
+import { DOC_KEYWORDS, declaredBump, satisfiesBump, stripDocs } from './utils/version-bump.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 class OpenAPIChangeDetector {
-  constructor() {
+  constructor(options = {}) {
+    this.options = {
+      outputDir: resolve(process.cwd(), '.temp/change-detection'),
+      formats: Object.keys(REPORT_FORMATS),
+      // Accepted breaking changes; null disables suppressions
+      suppressionsPath: resolve(__dirname, '../config/breaking-change-suppressions.yaml'),
+      ...options
+    };
+    
+    this.suppressions = null;
     this.changes = {
-      endpoints: { added: [], removed: [], modified: [] },
+      endpoints: { added: [], removed: [], modified: [], renamed: [] },
       schemas: { added: [], removed: [], modified: [] },
       breaking: [],
-      metadata: {}
+      suppressed: [],
+      suppressions: { expired: [], unused: [] },
+      metadata: {},
+      versioning: {}
     };
   }
 
@@ -38,20 +57,11 @@ class OpenAPIChangeDetector {
       }
       
       // Compare specifications
-      this.compareEndpoints(oldSpec, newSpec);
-      this.compareSchemas(oldSpec, newSpec);
-      this.compareMetadata(oldSpec, newSpec);
-      this.detectBreakingChanges(oldSpec, newSpec);
+      const { hasChanges, hasBreakingChanges, summary } = this.compareSpecs(oldSpec, newSpec);
       
-      // Generate summary
-      const summary = this.generateSummary();
-      const hasChanges = this.hasSignificantChanges();
-      const hasBreakingChanges = this.changes.breaking.length > 0;
-      
-      // Write results to temporary files for GitHub Actions
-      fs.writeFileSync('/tmp/has-changes', hasChanges.toString());
-      fs.writeFileSync('/tmp/breaking-changes', hasBreakingChanges.toString());
-      fs.writeFileSync('/tmp/change-summary.json', JSON.stringify(summary, null, 2));
+      // Write results and reports for GitHub Actions
+      const files = this.writeResults({ hasChanges, hasBreakingChanges, summary });
+      this.writeReports(summary, { oldSpec, newSpec, oldSpecPath, newSpecPath }, files);
       
       console.log(`✅ Change detection complete:`);
       console.log(`   - Has changes: ${hasChanges}`);
@@ -59,28 +69,104 @@ class OpenAPIChangeDetector {
       console.log(`   - Endpoints added: ${this.changes.endpoints.added.length}`);
       console.log(`   - Endpoints modified: ${this.changes.endpoints.modified.length}`);
       console.log(`   - Endpoints removed: ${this.changes.endpoints.removed.length}`);
+      console.log(`   - Endpoints renamed or moved: ${this.changes.endpoints.renamed.length}`);
+      this.printSuppressions();
+      this.printVersioning();
+      console.log(`   - Results written to ${this.options.outputDir}`);
       
       return {
         hasChanges,
         hasBreakingChanges,
-        summary
+        summary,
+        files
       };
       
     } catch (error) {
       console.error('❌ Error detecting changes:', error.message);
       
       // Default to assuming changes exist on error
-      fs.writeFileSync('/tmp/has-changes', 'true');
-      fs.writeFileSync('/tmp/breaking-changes', 'false');
-      fs.writeFileSync('/tmp/change-summary.json', JSON.stringify({
-        error: error.message,
-        message: 'Change detection failed, assuming changes exist'
-      }, null, 2));
+      this.writeResults({
+        hasChanges: true,
+        hasBreakingChanges: false,
+        summary: {
+          error: error.message,
+          message: 'Change detection failed, assuming changes exist'
+        }
+      });
       
-      process.exit(1);
+      throw error;
     }
   }
 
+  /**
+   * Compare two loaded specifications without writing any files
+   */
+  compareSpecs(oldSpec, newSpec) {
+    this.changes = {
+      endpoints: { added: [], removed: [], modified: [], renamed: [] },
+      schemas: { added: [], removed: [], modified: [] },
+      breaking: [],
+      suppressed: [],
+      suppressions: { expired: [], unused: [] },
+      metadata: {},
+      versioning: {}
+    };
+    
+    this.compareSchemas(oldSpec, newSpec);
+    this.compareEndpoints(oldSpec, newSpec);
+    this.compareMetadata(oldSpec, newSpec);
+    this.detectBreakingChanges(oldSpec, newSpec);
+    this.applySuppressions(oldSpec, newSpec);
+    this.changes.versioning = this.recommendVersionBump();
+    
+    return {
+      hasChanges: this.hasSignificantChanges(),
+      hasBreakingChanges: this.changes.breaking.length > 0,
+      summary: this.generateSummary()
+    };
+  }
+
+  /**
+   * Write the flags and summary the pipeline reads (`has-changes`,
+   * `breaking-changes`, `change-summary.json`) to the output directory
+   */
+  writeResults({ hasChanges, hasBreakingChanges, summary }) {
+    const files = {
+      hasChanges: join(this.options.outputDir, 'has-changes'),
+      breakingChanges: join(this.options.outputDir, 'breaking-changes'),
+      summary: join(this.options.outputDir, 'change-summary.json')
+    };
+    
+    fs.mkdirSync(this.options.outputDir, { recursive: true });
+    fs.writeFileSync(files.hasChanges, hasChanges.toString());
+    fs.writeFileSync(files.breakingChanges, hasBreakingChanges.toString());
+    fs.writeFileSync(files.summary, JSON.stringify(summary, null, 2));
+    
+    return files;
+  }
+
+  /**
+   * Render the summary in each configured report format
+   */
+  writeReports(summary, { oldSpec, newSpec, oldSpecPath, newSpecPath }, files = {}) {
+    const report = new DiffReport(summary, {
+      oldSpec,
+      newSpec,
+      oldSpecPath,
+      newSpecPath,
+      newSpecText: fs.readFileSync(newSpecPath, 'utf8')
+    });
+    
+    for (const format of this.options.formats) {
+      const content = report.render(format);
+      const file = join(this.options.outputDir, REPORT_FORMATS[format]);
+      fs.writeFileSync(file, content);
+      files[format] = file;
+    }
+    
+    return files;
+  }
+
   loadSpec(specPath) {
     try {
       if (!fs.existsSync(specPath)) {
@@ -88,18 +174,13 @@ class OpenAPIChangeDetector {
         return null;
       }
       
-      const content = fs.readFileSync(specPath, 'utf8');
-      
-      // Try to parse as YAML first, then JSON
+      // YAML is a superset of JSON, so the bundler handles both formats.
+      // External $refs in multi-file specs are followed and inlined.
       try {
-        return yaml.load(content);
-      } catch (yamlError) {
-        try {
-          return JSON.parse(content);
-        } catch (jsonError) {
-          console.error(`❌ Failed to parse specification: ${specPath}`);
-          return null;
-        }
+        return new SpecBundler(specPath).bundle();
+      } catch (parseError) {
+        console.error(`❌ Failed to parse specification: ${specPath} (${parseError.message})`);
+        return null;
       }
     } catch (error) {
       console.error(`❌ Error loading specification: ${error.message}`);
@@ -134,13 +215,68 @@ class OpenAPIChangeDetector {
         old.path === newEndpoint.path && old.method === newEndpoint.method
       );
       
-      if (oldEndpoint && this.endpointChanged(oldEndpoint, newEndpoint)) {
+      if (!oldEndpoint) {
+        continue;
+      }
+      
+      // Compare with references resolved, so changes to shared parameters,
+      // responses and definitions count as changes of every endpoint using them
+      const oldResolved = this.dereferenceEndpoint(oldSpec, oldEndpoint);
+      const newResolved = this.dereferenceEndpoint(newSpec, newEndpoint);
+      const schemaChanges = this.getSchemaChanges(newEndpoint);
+      
+      if (this.endpointChanged(oldResolved, newResolved) || schemaChanges.schemas.length > 0) {
+        const changes = this.getEndpointChanges(oldResolved, newResolved);
+        
         this.changes.endpoints.modified.push({
           ...newEndpoint,
-          changes: this.getEndpointChanges(oldEndpoint, newEndpoint)
+          changes: [...new Set([...changes, ...schemaChanges.parts])],
+          schemas: schemaChanges.schemas,
+          docsOnly: !this.endpointChanged(stripDocs(oldResolved), stripDocs(newResolved))
         });
       }
     }
+    
+    this.matchRenamedEndpoints(oldSpec, newSpec);
+  }
+
+  /**
+   * Pair removed and added endpoints that are the same operation under another
+   * path parameter name, path or method (by operationId or normalized path),
+   * and report them as renamed or moved instead
+   */
+  matchRenamedEndpoints(oldSpec, newSpec) {
+    const { endpoints } = this.changes;
+    const pairs = new OperationMatcher(endpoints.removed, endpoints.added).match();
+    
+    for (const { oldEndpoint, newEndpoint, ...pair } of pairs) {
+      const oldResolved = this.renamePathParameters(this.dereferenceEndpoint(oldSpec, oldEndpoint), pair.parameterRenames);
+      const newResolved = this.dereferenceEndpoint(newSpec, newEndpoint);
+      const schemaChanges = this.getSchemaChanges(newEndpoint);
+      
+      endpoints.renamed.push({
+        ...newEndpoint,
+        previous: { method: oldEndpoint.method, path: oldEndpoint.path, operationId: oldEndpoint.operationId },
+        ...pair,
+        changes: [...new Set([...this.getEndpointChanges(oldResolved, newResolved), ...schemaChanges.parts])],
+        schemas: schemaChanges.schemas
+      });
+    }
+    
+    endpoints.removed = endpoints.removed.filter(endpoint => !pairs.some(pair => pair.oldEndpoint === endpoint));
+    endpoints.added = endpoints.added.filter(endpoint => !pairs.some(pair => pair.newEndpoint === endpoint));
+  }
+
+  /**
+   * Give renamed path parameters of a (dereferenced) endpoint their new names
+   */
+  renamePathParameters(endpoint, renames = {}) {
+    return {
+      ...endpoint,
+      parameters: endpoint.parameters.map(parameter => (parameter?.in === 'path' && renames[parameter.name]
+        ? { ...parameter, name: renames[parameter.name] }
+        : parameter))
+    };
   }
 
   extractEndpoints(paths) {
@@ -154,6 +290,7 @@ class OpenAPIChangeDetector {
             method: method.toUpperCase(),
             operationId: operation.operationId,
             summary: operation.summary,
+            description: operation.description,
             parameters: operation.parameters || [],
             requestBody: operation.requestBody,
             responses: operation.responses || {}
@@ -165,6 +302,25 @@ class OpenAPIChangeDetector {
     return endpoints;
   }
 
+  /**
+   * Resolve the references of an endpoint's parameters, request body and responses
+   */
+  dereferenceEndpoint(spec, endpoint) {
+    const resolver = new RefResolver(spec);
+    
+    try {
+      return {
+        ...endpoint,
+        parameters: resolver.dereference(endpoint.parameters),
+        requestBody: resolver.dereference(endpoint.requestBody),
+        responses: resolver.dereference(endpoint.responses)
+      };
+    } catch {
+      // Unresolvable references: fall back to comparing the references themselves
+      return endpoint;
+    }
+  }
+
   endpointChanged(oldEndpoint, newEndpoint) {
     // Simple comparison - could be made more sophisticated
     return JSON.stringify(oldEndpoint) !== JSON.stringify(newEndpoint);
@@ -177,6 +333,10 @@ class OpenAPIChangeDetector {
       changes.push('summary');
     }
     
+    if (oldEndpoint.description !== newEndpoint.description) {
+      changes.push('description');
+    }
+    
     if (JSON.stringify(oldEndpoint.parameters) !== JSON.stringify(newEndpoint.parameters)) {
       changes.push('parameters');
     }
@@ -192,38 +352,34 @@ class OpenAPIChangeDetector {
     return changes;
   }
 
-  compareSchemas(oldSpec, newSpec) {
-    const oldSchemas = oldSpec.components?.schemas || {};
-    const newSchemas = newSpec.components?.schemas || {};
+  /**
+   * Find the changed named schemas an endpoint references and the parts of the
+   * endpoint (parameters, requestBody, responses) that reference them
+   */
+  getSchemaChanges(endpoint) {
+    const modified = new Set(this.changes.schemas.modified.map(schema => schema.name));
+    const side = this.schemaDiff.new;
+    const parts = [];
+    const schemas = new Set();
     
-    const oldSchemaNames = Object.keys(oldSchemas);
-    const newSchemaNames = Object.keys(newSchemas);
-    
-    // Find added schemas
-    for (const schemaName of newSchemaNames) {
-      if (!oldSchemaNames.includes(schemaName)) {
-        this.changes.schemas.added.push(schemaName);
+    for (const part of ['parameters', 'requestBody', 'responses']) {
+      const changed = [...this.schemaDiff.referencedSchemas(side, endpoint[part])].filter(name => modified.has(name));
+      if (changed.length > 0) {
+        parts.push(part);
+        changed.forEach(name => schemas.add(name));
       }
     }
     
-    // Find removed schemas
-    for (const schemaName of oldSchemaNames) {
-      if (!newSchemaNames.includes(schemaName)) {
-        this.changes.schemas.removed.push(schemaName);
-      }
-    }
-    
-    // Find modified schemas
-    for (const schemaName of newSchemaNames) {
-      if (oldSchemaNames.includes(schemaName)) {
-        const oldSchema = oldSchemas[schemaName];
-        const newSchema = newSchemas[schemaName];
-        
-        if (JSON.stringify(oldSchema) !== JSON.stringify(newSchema)) {
-          this.changes.schemas.modified.push(schemaName);
-        }
-      }
-    }
+    return { parts, schemas: [...schemas] };
+  }
+
+  /**
+   * Compare named schemas (Swagger 2 `definitions` or OpenAPI 3 `components.schemas`)
+   * property by property
+   */
+  compareSchemas(oldSpec, newSpec) {
+    this.schemaDiff = new SchemaDiff(oldSpec, newSpec);
+    this.changes.schemas = this.schemaDiff.compareNamedSchemas();
   }
 
   compareMetadata(oldSpec, newSpec) {
@@ -242,12 +398,17 @@ class OpenAPIChangeDetector {
   }
 
   detectBreakingChanges(oldSpec, newSpec) {
+    const rules = new BreakingChangeRules(oldSpec, newSpec);
+    
     // Removed endpoints are breaking changes
     for (const endpoint of this.changes.endpoints.removed) {
       this.changes.breaking.push({
         type: 'removed_endpoint',
         severity: 'high',
         description: `Endpoint ${endpoint.method} ${endpoint.path} was removed`,
+        pointer: encodePointer('paths', endpoint.path, endpoint.method.toLowerCase()),
+        old: `${endpoint.method} ${endpoint.path}`,
+        new: null,
         endpoint
       });
     }
@@ -258,14 +419,148 @@ class OpenAPIChangeDetector {
         type: 'removed_schema',
         severity: 'medium',
         description: `Schema ${schemaName} was removed`,
+        pointer: `${getNamedSchemas(oldSpec).pointer}${encodePointer(schemaName)}`,
+        old: schemaName,
+        new: null,
         schema: schemaName
       });
     }
     
-    // TODO: Add more sophisticated breaking change detection
-    // - Required parameter additions
-    // - Response schema changes
-    // - Parameter type changes
+    // Moved endpoints break clients calling the old method and path; renamed
+    // path parameters and operationIds are not visible on the wire
+    for (const endpoint of this.changes.endpoints.renamed) {
+      const { previous } = endpoint;
+      
+      if (endpoint.clientVisible) {
+        this.changes.breaking.push({
+          type: 'operation_moved',
+          severity: 'high',
+          description: `Endpoint ${previous.method} ${previous.path} moved to ${endpoint.method} ${endpoint.path}`,
+          pointer: encodePointer('paths', endpoint.path, endpoint.method.toLowerCase()),
+          old: `${previous.method} ${previous.path}`,
+          new: `${endpoint.method} ${endpoint.path}`,
+          endpoint: { method: endpoint.method, path: endpoint.path }
+        });
+      }
+      
+      rules.checkRenamedOperation({
+        oldEndpoint: previous,
+        newEndpoint: endpoint,
+        parameterRenames: endpoint.parameterRenames
+      });
+    }
+    
+    // Rule engine: parameters, request bodies, responses, constraints and auth of every operation
+    this.changes.breaking.push(...rules.check());
+  }
+
+  /**
+   * Recommend a semver bump for the changes (major for breaking changes, minor
+   * for additions and other non-breaking API changes, patch for documentation
+   * only) and check it against the bump declared in `info.version`
+   */
+  recommendVersionBump() {
+    const { endpoints, schemas, metadata } = this.changes;
+    // Accepted breaking changes are still breaking changes for versioning
+    const breaking = [...this.changes.breaking, ...this.changes.suppressed];
+    const apiChanged = endpoints.added.length > 0 ||
+      endpoints.removed.length > 0 ||
+      endpoints.renamed.length > 0 ||
+      schemas.added.length > 0 ||
+      schemas.removed.length > 0 ||
+      endpoints.modified.some(endpoint => !endpoint.docsOnly) ||
+      schemas.modified.some(schema => schema.changes.some(change => !DOC_KEYWORDS.includes(change.keyword)));
+    const docsChanged = endpoints.modified.length > 0 || schemas.modified.length > 0 || metadata.title.changed;
+    
+    let recommended = 'none';
+    let reason = 'No API or documentation changes';
+    
+    if (breaking.length > 0) {
+      recommended = 'major';
+      reason = `${breaking.length} breaking change(s)`;
+    } else if (apiChanged) {
+      recommended = 'minor';
+      reason = 'Backwards-compatible API changes (added or changed endpoints or schemas)';
+    } else if (docsChanged) {
+      recommended = 'patch';
+      reason = 'Documentation-only changes (descriptions, summaries, titles or examples)';
+    }
+    
+    const declared = declaredBump(metadata.version.old, metadata.version.new);
+    const mismatch = declared === 'downgrade' ||
+      (recommended !== 'none' && !satisfiesBump(declared, recommended, metadata.version.old));
+    
+    return {
+      old: metadata.version.old ?? null,
+      new: metadata.version.new ?? null,
+      declared,
+      recommended,
+      mismatch,
+      reason
+    };
+  }
+
+  /**
+   * Print the recommended version bump and any mismatch with the declared one
+   */
+  printVersioning() {
+    const { old, new: current, declared, recommended, mismatch, reason } = this.changes.versioning;
+    
+    console.log(`   - Recommended version bump: ${recommended} (${reason})`);
+    
+    if (mismatch) {
+      const detail = {
+        unknown: 'is not a semantic version',
+        none: 'is not a version bump',
+        downgrade: 'is a downgrade'
+      }[declared] || `is a ${declared} bump`;
+      console.warn(`⚠️  Version mismatch: info.version ${old} -> ${current} ${detail}, a ${recommended} bump is required`);
+    }
+  }
+
+  /**
+   * Move accepted breaking changes listed in the suppression file out of
+   * `breaking` (they no longer count for `hasBreakingChanges`), and collect
+   * expired and unused suppressions
+   */
+  applySuppressions(oldSpec, newSpec) {
+    if (!this.options.suppressionsPath) {
+      return;
+    }
+    
+    this.suppressions ??= SuppressionList.load(this.options.suppressionsPath);
+    
+    // Suppressions may name operations by operationId, in either spec
+    const operationIds = new Map(
+      [...this.extractEndpoints(oldSpec.paths || {}), ...this.extractEndpoints(newSpec.paths || {})]
+        .filter(endpoint => endpoint.operationId)
+        .map(endpoint => [`${endpoint.method} ${endpoint.path}`, endpoint.operationId])
+    );
+    const { breaking, suppressed, expired, unused } = this.suppressions.apply(this.changes.breaking, operationIds);
+    
+    this.changes.breaking = breaking;
+    this.changes.suppressed = suppressed;
+    this.changes.suppressions = { expired, unused };
+  }
+
+  /**
+   * Print suppressed breaking changes and suppressions that need attention
+   */
+  printSuppressions() {
+    const { suppressed, suppressions } = this.changes;
+    
+    if (suppressed.length > 0) {
+      console.log(`   - Suppressed breaking changes: ${suppressed.length}`);
+    }
+    
+    for (const entry of suppressions.expired) {
+      const effect = entry.matchesFindings ? 'its breaking changes are reported again' : 'it no longer matches anything';
+      console.warn(`⚠️  Suppression #${entry.id} (${entry.rule}) expired on ${entry.expires}; ${effect}`);
+    }
+    
+    for (const entry of suppressions.unused) {
+      console.warn(`⚠️  Suppression #${entry.id} (${entry.rule} ${entry.operation || entry.pointer}) matched no breaking change and can be removed`);
+    }
   }
 
   hasSignificantChanges() {
@@ -273,6 +568,7 @@ class OpenAPIChangeDetector {
       this.changes.endpoints.added.length > 0 ||
       this.changes.endpoints.removed.length > 0 ||
       this.changes.endpoints.modified.length > 0 ||
+      this.changes.endpoints.renamed.length > 0 ||
       this.changes.schemas.added.length > 0 ||
       this.changes.schemas.removed.length > 0 ||
       this.changes.schemas.modified.length > 0 ||
@@ -290,19 +586,24 @@ class OpenAPIChangeDetector {
         endpoints: {
           added: this.changes.endpoints.added.length,
           modified: this.changes.endpoints.modified.length,
-          removed: this.changes.endpoints.removed.length
+          removed: this.changes.endpoints.removed.length,
+          renamed: this.changes.endpoints.renamed.length
         },
         schemas: {
           added: this.changes.schemas.added.length,
           modified: this.changes.schemas.modified.length,
           removed: this.changes.schemas.removed.length
         },
-        breakingChanges: this.changes.breaking.length
+        breakingChanges: this.changes.breaking.length,
+        suppressedBreakingChanges: this.changes.suppressed.length
       },
+      versioning: this.changes.versioning,
       details: {
         endpoints: this.changes.endpoints,
         schemas: this.changes.schemas,
         breaking: this.changes.breaking,
+        suppressed: this.changes.suppressed,
+        suppressions: this.changes.suppressions,
         metadata: this.changes.metadata
       }
     };
@@ -312,22 +613,34 @@ class OpenAPIChangeDetector {
 // Main execution
 async function main() {
   const args = process.argv.slice(2);
+  const failOnVersionMismatch = args.includes('--fail-on-version-mismatch');
+  const valueOf = (flag) => (args.includes(flag) ? args[args.indexOf(flag) + 1] : undefined);
+  const outputDir = valueOf('--output');
+  const formats = valueOf('--format');
+  const paths = args.filter((arg, index) => !arg.startsWith('--') && !['--output', '--format'].includes(args[index - 1]));
   
-  if (args.length !== 2) {
-    console.error('Usage: node detect-changes.js <old-spec-path> <new-spec-path>');
+  if (paths.length !== 2) {
+    console.error('Usage: node detect-changes.js <old-spec-path> <new-spec-path> [--output <dir>] [--format markdown,html,json,sarif] [--fail-on-version-mismatch]');
     process.exit(1);
   }
   
-  const [oldSpecPath, newSpecPath] = args;
-  const detector = new OpenAPIChangeDetector();
+  const [oldSpecPath, newSpecPath] = paths;
+  const detector = new OpenAPIChangeDetector({
+    ...(outputDir && { outputDir: resolve(outputDir) }),
+    ...(formats && { formats: formats.split(',') })
+  });
+  
+  const { summary } = await detector.detectChanges(oldSpecPath, newSpecPath);
   
-  await detector.detectChanges(oldSpecPath, newSpecPath);
+  if (failOnVersionMismatch && summary.versioning.mismatch) {
+    process.exit(1);
+  }
 }
 
 // Run if called directly
 if (import.meta.url === `file://${process.argv[1]}`) {
-  main().catch(error => {
-    console.error('❌ Fatal error:', error);
+  main().catch(() => {
+    // detectChanges() has already reported the error
     process.exit(1);
   });
 }
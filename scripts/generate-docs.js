@@ -4,13 +4,31 @@ import fs from 'fs-extra';
 import path from 'path';
 import chalk from 'chalk';
 import handlebars from 'handlebars';
+import { glob } from 'glob';
+import { createTwoFilesPatch } from 'diff';
 import { fileURLToPath } from 'url';
-import { OpenAPIParser } from './parse-openapi.js';
-import { CodeExampleGenerator } from './utils/code-examples.js';
+import { OpenAPIParser, RETRYABLE_STATUSES } from './parse-openapi.js';
+import { CodeExampleGenerator, LANGUAGES } from './utils/code-examples.js';
+import { ContentMerger } from './utils/content-merger.js';
+import { GenerationManifest } from './utils/generation-manifest.js';
+import { PluginManager, importFresh } from './utils/plugin-manager.js';
+import { ChangelogStore, hashSpec, versionSlug } from './utils/changelog.js';
+import { SpecBundler } from './utils/spec-bundler.js';
+import { MarkdownRenderer } from './utils/markdown.js';
+import { SpecSanitizer } from './sanitize-spec.js';
+import { SpecHistory } from './spec-history.js';
+import { DocsConfig } from './utils/docs-config.js';
+import OpenAPIChangeDetector from './detect-changes.js';
+import { NavigationUpdater } from './update-navigation.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+const DEFAULT_BRANDING = {
+  apiName: 'WP Engine Customer API',
+  companyName: 'WP Engine'
+};
+
 /**
  * Main Documentation Generator for WP Engine Customer API
  * 
@@ -18,28 +36,99 @@ const __dirname = path.dirname(__filename);
  * 1. Parse OpenAPI specification
  * 2. Generate code examples
  * 3. Process templates
- * 4. Create MDX files with proper content markers
- * 5. Update navigation structure
+ * 4. Create MDX files with proper content markers, merging into existing
+ *    pages so hand-written CUSTOM blocks survive regeneration
+ * 5. Generate data model reference pages
+ * 6. Record spec changes in the API changelog and render its pages and feed
+ * 7. Remove pages whose endpoint, tag or model no longer exists
+ * 8. Update navigation structure
+ *
+ * A manifest (`.docs-manifest.json`) records the inputs of every page so
+ * unchanged pages are not rewritten. Plugins from `docs.config.js` hook into
+ * parsing, rendering and writing, and can emit pages of their own. With `--watch` the spec, its sanitizer
+ * rules, the templates and the docs config are watched and affected pages regenerated.
  */
 
+// Options that come from the command line rather than docs.config.js, kept when the config is reloaded
+const RUNTIME_OPTIONS = ['configPath', 'dryRun', 'verbose', 'force', 'keepStale'];
+
 class DocumentationGenerator {
   constructor(options = {}) {
-    this.options = {
+    this.options = this.resolveOptions(options);
+    
+    this.parser = null;
+    this.codeGenerator = null;
+    this.merger = new ContentMerger();
+    this.markdown = new MarkdownRenderer();
+    this.plugins = new PluginManager();
+    this.manifest = null;
+    this.data = null;
+    this.stats = this.createStats();
+  }
+
+  /**
+   * Fill in the defaults for anything the options leave out
+   */
+  resolveOptions(options) {
+    return {
+      configPath: null,
       specPath: path.resolve(__dirname, '../public/openapi/v1.yaml'),
+      sourceSpecPath: path.resolve(__dirname, '../openapi/v1.yaml'),
+      sanitizeRulesPath: path.resolve(__dirname, '../config/spec-sanitize.yaml'),
       outputDir: path.resolve(__dirname, '../src/content/docs/api-reference/endpoints'),
+      modelsDir: path.resolve(__dirname, '../src/content/docs/api-reference/models'),
       templatesDir: path.resolve(__dirname, '../templates'),
+      manifestPath: path.resolve(__dirname, '../.docs-manifest.json'),
+      changelogPath: path.resolve(__dirname, '../data/api-changelog.json'),
+      changelogDir: path.resolve(__dirname, '../src/content/docs/api-reference/changelog'),
+      feedPath: path.resolve(__dirname, '../public/api-changelog.xml'),
+      rateLimitingPath: path.resolve(__dirname, '../src/content/docs/api-reference/rate-limiting.mdx'),
+      publicDir: path.resolve(__dirname, '../public'),
+      navConfigPath: path.resolve(__dirname, '../astro.config.mjs'),
+      siteUrl: '',
+      rootDir: path.resolve(__dirname, '..'),
       dryRun: options.dryRun || false,
       verbose: options.verbose || false,
-      ...options
+      force: options.force || false,
+      keepStale: options.keepStale || false,
+      templateLayers: ['custom', 'base'],
+      templateOverrides: {},
+      helperModules: [],
+      plugins: [],
+      languages: LANGUAGES,
+      ...options,
+      branding: { ...DEFAULT_BRANDING, ...options.branding }
     };
+  }
+
+  /**
+   * Reload `docs.config.js` after it changed, keeping the command line options
+   */
+  async reloadConfig() {
+    const config = await DocsConfig.load({ configPath: this.options.configPath });
+    const runtime = Object.fromEntries(RUNTIME_OPTIONS.map(key => [key, this.options[key]]));
     
-    this.parser = null;
-    this.codeGenerator = null;
-    this.data = null;
-    this.stats = {
+    this.options = this.resolveOptions({ ...config.generatorOptions(), ...runtime });
+    this.log(`✅ Reloaded ${path.relative(process.cwd(), this.options.configPath)}`);
+  }
+
+  /**
+   * Create empty generation statistics
+   */
+  createStats() {
+    return {
       endpointsGenerated: 0,
       sectionsCreated: 0,
+      modelsGenerated: 0,
       filesWritten: 0,
+      filesUnchanged: 0,
+      staleRemoved: 0,
+      staleFlagged: 0,
+      customBlocksPreserved: 0,
+      pagesDropped: 0,
+      filesEmitted: 0,
+      changelogVersions: 0,
+      conflicts: [],
       errors: []
     };
   }
@@ -48,25 +137,216 @@ class DocumentationGenerator {
    * Main generation process
    */
   async generate() {
-    try {
-      console.log(chalk.bold.blue('🚀 WP Engine API Documentation Generator\n'));
-      
+    console.log(chalk.bold.blue('🚀 WP Engine API Documentation Generator\n'));
+    
+    await this.loadPlugins();
+    await this.parseOpenAPI();
+    await this.renderPages();
+    await this.updateNavigation();
+    
+    this.printSummary();
+    return this.stats;
+  }
+
+  /**
+   * Render every page from the parsed data (unchanged pages are skipped)
+   */
+  async renderPages() {
+    this.stats = this.createStats();
+    
+    await this.setupTemplates();
+    await this.loadManifest();
+    await this.generateEndpointDocumentation();
+    await this.generateSectionIndexes();
+    await this.generateMainIndex();
+    await this.generateAllEndpointsPage();
+    await this.generateModelPages();
+    await this.generateRateLimitingPage();
+    await this.generateChangelog();
+    await this.runEmitters();
+    await this.cleanupStaleFiles();
+    await this.saveManifest();
+  }
+
+  /**
+   * Regenerate after files changed. The spec is only re-sanitized and re-parsed
+   * when it, its sanitizer rules, a plugin or the docs config changed; template
+   * changes just re-render. Returns the set of change kinds that were handled.
+   */
+  async regenerate(changedFiles) {
+    const changes = this.classifyChanges(changedFiles);
+    if (changes.size === 0) {
+      return changes;
+    }
+    
+    this.log(chalk.blue(`\n🔄 Change detected (${[...changes].join(', ')}), regenerating...`));
+    
+    if (changes.has('config')) {
+      await this.reloadConfig();
+    }
+    
+    await this.loadPlugins();
+    
+    if (this.hasSourceSpec() && ['source', 'sanitizer', 'config'].some(change => changes.has(change))) {
+      const sanitizer = new SpecSanitizer({
+        sourcePath: this.options.sourceSpecPath,
+        outputPath: this.options.specPath,
+        rulesPath: this.options.sanitizeRulesPath
+      });
+      await sanitizer.sanitize();
+    }
+    
+    if (!this.data || ['spec', 'source', 'sanitizer', 'plugins', 'config'].some(change => changes.has(change))) {
       await this.parseOpenAPI();
-      await this.setupTemplates();
-      //await this.generateEndpointDocumentation();
-      //await this.generateSectionIndexes();
-      await this.generateMainIndex();
-      await this.generateAllEndpointsPage();
-      await this.updateNavigation();
-      
-      this.printSummary();
-      
-    } catch (error) {
-      console.error(chalk.red('❌ Generation failed:'), error.message);
-      if (this.options.verbose) {
-        console.error(error.stack);
+    }
+    
+    await this.renderPages();
+    
+    if (['spec', 'source', 'sanitizer', 'config'].some(change => changes.has(change))) {
+      await this.syncNavigation();
+    }
+    
+    this.printSummary();
+    
+    return changes;
+  }
+
+  /**
+   * Work out what kind of input a set of changed files belongs to. With a source
+   * spec, the public spec is the sanitizer's output and its changes are ignored
+   * (they follow a source change that is already being handled).
+   */
+  classifyChanges(files) {
+    const changes = new Set();
+    const isInside = (file, dir) => file.startsWith(dir + path.sep);
+    const isSpecFile = (file) => /\.(ya?ml|json)$/.test(file);
+    const hasSource = this.hasSourceSpec();
+    
+    for (const file of files.map(file => path.resolve(file))) {
+      if (file === this.options.configPath) {
+        changes.add('config');
+      } else if (file === this.options.sanitizeRulesPath) {
+        changes.add('sanitizer');
+      } else if (hasSource && isInside(file, path.dirname(this.options.sourceSpecPath)) && isSpecFile(file)) {
+        changes.add('source');
+      } else if (!hasSource && isInside(file, path.dirname(this.options.specPath)) && isSpecFile(file)) {
+        changes.add('spec');
+      } else if (isInside(file, this.options.templatesDir) || this.options.helperModules.includes(file)) {
+        changes.add('templates');
+      } else if (this.getPluginModules().includes(file)) {
+        changes.add('plugins');
       }
-      process.exit(1);
+    }
+    
+    return changes;
+  }
+
+  /**
+   * Check whether the public spec is generated from a source spec
+   */
+  hasSourceSpec() {
+    return fs.existsSync(this.options.sourceSpecPath);
+  }
+
+  /**
+   * Get the directories (and the docs config, helper and plugin modules) watch mode observes
+   */
+  getWatchPaths() {
+    return [
+      this.options.configPath,
+      path.dirname(this.hasSourceSpec() ? this.options.sourceSpecPath : this.options.specPath),
+      path.dirname(this.options.sanitizeRulesPath),
+      this.options.templatesDir,
+      ...this.options.helperModules,
+      ...this.getPluginModules()
+    ].filter(dir => dir && fs.existsSync(dir));
+  }
+
+  /**
+   * Get the directories to watch for the watch paths: the directory of each
+   * watched file, and each watched directory with its subdirectories.
+   * `fs.watch()` is not recursive on Linux before Node 20, and reports changes
+   * by file name only, so every directory gets a watcher of its own and
+   * `classifyChanges()` picks the relevant files.
+   */
+  getWatchDirectories() {
+    const directories = new Set();
+    const addTree = (dir) => {
+      directories.add(dir);
+      fs.readdirSync(dir, { withFileTypes: true })
+        .filter(entry => entry.isDirectory() && entry.name !== 'node_modules' && !entry.name.startsWith('.'))
+        .forEach(entry => addTree(path.join(dir, entry.name)));
+    };
+    
+    for (const watchPath of this.getWatchPaths()) {
+      if (fs.statSync(watchPath).isDirectory()) {
+        addTree(watchPath);
+      } else {
+        directories.add(path.dirname(watchPath));
+      }
+    }
+    
+    return [...directories];
+  }
+
+  /**
+   * Get the module paths of configured plugins (inline plugins have none)
+   */
+  getPluginModules() {
+    return this.options.plugins
+      .map(entry => (Array.isArray(entry) ? entry[0] : entry))
+      .filter(specifier => typeof specifier === 'string');
+  }
+
+  /**
+   * Generate once, then keep regenerating whenever watched inputs change.
+   * Errors are reported and watching continues.
+   */
+  async watch() {
+    try {
+      await this.generate();
+    } catch (error) {
+      this.reportError(error);
+    }
+    
+    let pending = new Set();
+    let timer = null;
+    let queue = Promise.resolve();
+    const watchers = [];
+    
+    // A changed docs config can move the spec, templates or plugins, so the watchers are recreated
+    const watchDirectories = () => {
+      watchers.splice(0).forEach(watcher => watcher.close());
+      watchers.push(...this.getWatchDirectories().map(dir => fs.watch(dir, (event, fileName) => {
+        if (!fileName) return;
+        pending.add(path.join(dir, fileName));
+        clearTimeout(timer);
+        timer = setTimeout(flush, 150);
+      })));
+    };
+    
+    const flush = () => {
+      const files = [...pending];
+      pending = new Set();
+      queue = queue
+        .then(() => this.regenerate(files))
+        .then(changes => changes.has('config') && watchDirectories())
+        .catch(error => this.reportError(error));
+    };
+    
+    watchDirectories();
+    
+    this.log(chalk.blue('\n👀 Watching spec, sanitizer rules, templates and docs config for changes (Ctrl+C to stop)...'));
+    return watchers;
+  }
+
+  /**
+   * Report a generation error without exiting
+   */
+  reportError(error) {
+    console.error(chalk.red('❌ Generation failed:'), error.message);
+    if (this.options.verbose) {
+      console.error(error.stack);
     }
   }
 
@@ -78,6 +358,7 @@ class DocumentationGenerator {
     
     this.parser = new OpenAPIParser(this.options.specPath);
     this.data = await this.parser.parseSpec();
+    this.data = await this.plugins.afterParse(this.data, this.createPluginContext());
     this.codeGenerator = new CodeExampleGenerator(this.data.spec);
     
     this.log(`✅ Parsed ${this.data.stats.totalEndpoints} endpoints in ${this.data.stats.totalTags} sections`);
@@ -89,17 +370,44 @@ class DocumentationGenerator {
   async setupTemplates() {
     this.log('🔧 Setting up templates...');
     
-    // Register Handlebars helpers
+    // Register Handlebars helpers, then the project's own helpers and the partials
     this.registerHandlebarsHelpers();
+    const helperSources = await this.registerProjectHelpers();
+    const partialSources = await this.registerPartials();
+    
+    // Templates and partials a page is rendered with decide whether it is up to date
+    this.dependencySource = JSON.stringify({ helperSources, partialSources, pluginSources: this.plugins.sources });
     
-    // Load templates
-    this.templates = {
-      endpoint: await this.loadTemplate('base/endpoint.mdx'),
-      sectionIndex: await this.loadTemplate('base/section-index.mdx'),
-      mainIndex: await this.loadTemplate('base/main-index.mdx'),
-      allEndpoints: await this.loadTemplate('base/all-endpoints.mdx')
+    // Load templates (sources are kept to detect template changes)
+    const templateFiles = {
+      endpoint: await this.resolveTemplate('endpoint.mdx'),
+      sectionIndex: await this.resolveTemplate('section-index.mdx'),
+      mainIndex: await this.resolveTemplate('main-index.mdx'),
+      allEndpoints: await this.resolveTemplate('all-endpoints.mdx'),
+      model: await this.resolveTemplate('model.mdx'),
+      modelsIndex: await this.resolveTemplate('models-index.mdx'),
+      changelogIndex: await this.resolveTemplate('changelog-index.mdx'),
+      changelogEntry: await this.resolveTemplate('changelog-entry.mdx'),
+      changelogFeed: await this.resolveTemplate('changelog-feed.xml'),
+      rateLimiting: await this.resolveTemplate('rate-limiting.mdx')
     };
     
+    // Templates replaced through the project config
+    for (const [name, templatePath] of Object.entries(this.options.templateOverrides || {})) {
+      if (!(name in templateFiles)) {
+        throw new Error(`Unknown template override "${name}" (expected one of: ${Object.keys(templateFiles).join(', ')})`);
+      }
+      templateFiles[name] = templatePath;
+    }
+    
+    this.templates = {};
+    this.templateSources = {};
+    for (const [name, templatePath] of Object.entries(templateFiles)) {
+      this.templateSources[name] = await this.loadTemplate(templatePath);
+      this.templates[name] = handlebars.compile(this.templateSources[name]);
+      this.verbose(`Template ${name}: ${path.relative(this.options.templatesDir, path.resolve(this.options.templatesDir, templatePath))}`);
+    }
+    
     this.log('✅ Templates loaded and configured');
   }
 
@@ -114,6 +422,7 @@ class DocumentationGenerator {
         await this.generateEndpointDoc(endpoint);
         this.stats.endpointsGenerated++;
       } catch (error) {
+        this.keepFailedPage(this.getEndpointFilePath(endpoint));
         this.stats.errors.push({
           type: 'endpoint',
           endpoint: `${endpoint.method} ${endpoint.path}`,
@@ -126,12 +435,31 @@ class DocumentationGenerator {
     this.log(`✅ Generated ${this.stats.endpointsGenerated} endpoint documents`);
   }
 
+  /**
+   * Get the page path of an endpoint
+   */
+  getEndpointFilePath(endpoint) {
+    const tag = endpoint.tags[0] || 'untagged';
+    return path.join(this.options.outputDir, this.kebabCase(tag), `${endpoint.slug}.mdx`);
+  }
+
+  /**
+   * Keep the previous version of a page whose render failed, so it is not
+   * removed as stale; it is regenerated on the next run
+   */
+  keepFailedPage(filePath) {
+    const previous = this.manifest.getPrevious(filePath);
+    if (previous) {
+      this.manifest.record(filePath, { ...previous, sourceHash: null });
+    }
+  }
+
   /**
    * Generate documentation for a single endpoint
    */
   async generateEndpointDoc(endpoint) {
     // Generate code examples
-    const codeExamples = this.codeGenerator.generateExamples(endpoint);
+    const codeExamples = this.codeGenerator.generateExamples(endpoint, this.options.languages);
     
     // Prepare template data
     const templateData = {
@@ -142,23 +470,14 @@ class DocumentationGenerator {
       },
       codeExamples,
       spec: this.data.spec,
-      timestamp: new Date().toISOString(),
       generator: 'scripts/generate-docs.js v1.0.0',
       tagDisplayNames: this.getTagDisplayNames(),
       tagSlugs: this.getTagSlugs()
     };
     
-    // Generate content
-    const content = this.templates.endpoint(templateData);
-    
-    // Determine file path
-    const tag = endpoint.tags[0] || 'untagged';
-    const fileName = `${endpoint.slug}.mdx`;
-    const filePath = path.join(this.options.outputDir, this.kebabCase(tag), fileName);
-    
-    // Write file
-    await this.writeFile(filePath, content);
-    this.stats.filesWritten++;
+    // Render and write file
+    const filePath = this.getEndpointFilePath(endpoint);
+    await this.writePage('endpoint', templateData, filePath, `${endpoint.method} ${endpoint.path}`);
     
     this.verbose(`Generated: ${path.relative(process.cwd(), filePath)}`);
   }
@@ -174,6 +493,7 @@ class DocumentationGenerator {
         await this.generateSectionIndex(tag);
         this.stats.sectionsCreated++;
       } catch (error) {
+        this.keepFailedPage(this.getSectionFilePath(tag));
         this.stats.errors.push({
           type: 'section',
           section: tag.name,
@@ -186,6 +506,13 @@ class DocumentationGenerator {
     this.log(`✅ Generated ${this.stats.sectionsCreated} section indexes`);
   }
 
+  /**
+   * Get the index page path of a section
+   */
+  getSectionFilePath(tag) {
+    return path.join(this.options.outputDir, this.kebabCase(tag.name), 'index.mdx');
+  }
+
   /**
    * Generate index page for a section
    */
@@ -193,15 +520,12 @@ class DocumentationGenerator {
     const templateData = {
       tag,
       spec: this.data.spec,
-      timestamp: new Date().toISOString(),
       generator: 'scripts/generate-docs.js v1.0.0'
     };
     
-    const content = this.templates.sectionIndex(templateData);
-    const filePath = path.join(this.options.outputDir, this.kebabCase(tag.name), 'index.mdx');
+    const filePath = this.getSectionFilePath(tag);
     
-    await this.writeFile(filePath, content);
-    this.stats.filesWritten++;
+    await this.writePage('sectionIndex', templateData, filePath, `tag ${tag.name}`);
     
     this.verbose(`Generated: ${path.relative(process.cwd(), filePath)}`);
   }
@@ -217,7 +541,7 @@ class DocumentationGenerator {
       ...tag,
       endpoints: tag.endpoints.map(endpoint => ({
         ...endpoint,
-        examples: this.codeGenerator.generateExamples(endpoint)
+        examples: this.codeGenerator.generateExamples(endpoint, this.options.languages)
       }))
     }));
     
@@ -225,15 +549,12 @@ class DocumentationGenerator {
       tags: tagsWithExamples,
       spec: this.data.spec,
       stats: this.data.stats,
-      timestamp: new Date().toISOString(),
       generator: 'scripts/generate-docs.js v1.0.0'
     };
     
-    const content = this.templates.allEndpoints(templateData);
     const filePath = path.join(this.options.outputDir, 'index.mdx');
     
-    await this.writeFile(filePath, content);
-    this.stats.filesWritten++;
+    await this.writePage('allEndpoints', templateData, filePath, 'endpoints index');
     
     this.log('✅ Generated comprehensive main endpoints index');
   }
@@ -249,7 +570,7 @@ class DocumentationGenerator {
       ...tag,
       endpoints: tag.endpoints.map(endpoint => ({
         ...endpoint,
-        examples: this.codeGenerator.generateExamples(endpoint)
+        examples: this.codeGenerator.generateExamples(endpoint, this.options.languages)
       }))
     }));
     
@@ -257,19 +578,234 @@ class DocumentationGenerator {
       tags: tagsWithExamples,
       spec: this.data.spec,
       stats: this.data.stats,
-      timestamp: new Date().toISOString(),
       generator: 'scripts/generate-docs.js v1.0.0'
     };
     
-    const content = this.templates.allEndpoints(templateData);
     const filePath = path.join(this.options.outputDir, 'all.mdx');
     
-    await this.writeFile(filePath, content);
-    this.stats.filesWritten++;
+    await this.writePage('allEndpoints', templateData, filePath, 'all endpoints');
     
     this.log('✅ Generated comprehensive endpoints page');
   }
 
+  /**
+   * Generate one reference page per data model plus the models index
+   */
+  async generateModelPages() {
+    this.log('🧩 Generating data model pages...');
+    
+    for (const model of this.data.models) {
+      const filePath = path.join(this.options.modelsDir, `${model.slug}.mdx`);
+      
+      try {
+        const templateData = {
+          model,
+          spec: this.data.spec,
+          generator: 'scripts/generate-docs.js v1.0.0'
+        };
+        
+        await this.writePage('model', templateData, filePath, `model ${model.name}`);
+        this.stats.modelsGenerated++;
+        
+        this.verbose(`Generated: ${path.relative(process.cwd(), filePath)}`);
+      } catch (error) {
+        this.keepFailedPage(filePath);
+        this.stats.errors.push({
+          type: 'model',
+          model: model.name,
+          error: error.message
+        });
+        console.warn(chalk.yellow(`⚠️  Failed to generate model ${model.name}: ${error.message}`));
+      }
+    }
+    
+    const indexData = {
+      models: this.data.models,
+      spec: this.data.spec,
+      stats: this.data.stats,
+      generator: 'scripts/generate-docs.js v1.0.0'
+    };
+    
+    await this.writePage('modelsIndex', indexData, path.join(this.options.modelsDir, 'index.mdx'), 'models index');
+    
+    this.log(`✅ Generated ${this.stats.modelsGenerated} data model pages`);
+  }
+
+  /**
+   * Generate the rate limiting page: every operation that can respond with 429
+   * or 503, with its `x-rate-limit` limit and retry guidance
+   */
+  async generateRateLimitingPage() {
+    this.log('🚦 Generating rate limiting page...');
+    
+    const operations = this.data.endpoints
+      .filter(endpoint => endpoint.retryableStatuses?.length > 0 || endpoint.rateLimit)
+      .map(endpoint => ({
+        method: endpoint.method,
+        path: endpoint.path,
+        link: this.getEndpointUrl(endpoint),
+        statuses: endpoint.retryableStatuses || [],
+        rateLimit: endpoint.rateLimit,
+        // The guidance of the first retryable response that has any
+        retryAfter: RETRYABLE_STATUSES.map(status => endpoint.responses[status]?.retryAfter).find(Boolean) || null
+      }));
+    
+    const templateData = {
+      operations,
+      // Limit set with `x-rate-limit` on the spec itself
+      rateLimit: this.parser.getRateLimit({}),
+      spec: this.data.spec,
+      generator: 'scripts/generate-docs.js v1.0.0'
+    };
+    
+    await this.writePage('rateLimiting', templateData, this.options.rateLimitingPath, 'rate limiting');
+    
+    this.log(`✅ Generated rate limiting page (${operations.length} operations)`);
+  }
+
+  /**
+   * Record changes of the spec since the last run in the changelog, then render
+   * one page per spec version, the changelog index and the Atom feed
+   */
+  async generateChangelog() {
+    this.log('📰 Updating API changelog...');
+    
+    const changelog = await new ChangelogStore(this.options.changelogPath).load();
+    const recorded = await this.recordChangelogEntry(changelog);
+    const entries = changelog.entries().map(entry => this.prepareChangelogEntry(entry));
+    
+    for (const entry of entries) {
+      const templateData = {
+        entry,
+        spec: this.data.spec,
+        generator: 'scripts/generate-docs.js v1.0.0'
+      };
+      
+      await this.writePage('changelogEntry', templateData, path.join(this.options.changelogDir, `${entry.slug}.mdx`), `changelog ${entry.version}`);
+      this.stats.changelogVersions++;
+    }
+    
+    const feedUrl = `/${path.relative(this.options.publicDir, this.options.feedPath).split(path.sep).join('/')}`;
+    const indexData = {
+      entries,
+      feedUrl,
+      spec: this.data.spec,
+      generator: 'scripts/generate-docs.js v1.0.0'
+    };
+    
+    await this.writePage('changelogIndex', indexData, path.join(this.options.changelogDir, 'index.mdx'), 'changelog index');
+    
+    const feed = this.templates.changelogFeed({
+      entries,
+      feedUrl,
+      siteUrl: this.options.siteUrl.replace(/\/+$/, ''),
+      updated: entries[0].date,
+      spec: this.data.spec,
+      branding: this.options.branding
+    });
+    await this.emitFile(this.options.feedPath, feed, 'changelog feed');
+    
+    if (!recorded) {
+      this.log(`✅ No spec changes since the last recorded version (${entries.length} versions in the changelog)`);
+    } else if (recorded.previousVersion) {
+      this.log(`✅ Recorded changes since ${recorded.previousVersion} under version ${recorded.version}`);
+    } else {
+      this.log(`✅ Started the changelog at version ${recorded.version}`);
+    }
+  }
+
+  /**
+   * Compare the spec with the one the changelog was last compared with (read
+   * back from git by its hash) and record the difference under the current spec
+   * version. Without a recorded spec the current version becomes the first
+   * changelog entry.
+   */
+  async recordChangelogEntry(changelog) {
+    const spec = new SpecBundler(this.options.specPath).bundle();
+    const hash = hashSpec(spec);
+    const context = {
+      version: spec.info.version,
+      previousVersion: null,
+      date: new Date().toISOString().slice(0, 10)
+    };
+    let entry = null;
+    
+    if (changelog.spec?.hash === hash) {
+      return null;
+    }
+    
+    if (!changelog.spec) {
+      if (!changelog.versions[context.version]) {
+        entry = changelog.record({ ...context, breaking: [], added: [], changed: [], removed: [] });
+      }
+    } else {
+      const previous = this.findRecordedSpec(changelog.spec);
+      if (previous) {
+        const detector = new OpenAPIChangeDetector();
+        const { hasChanges, summary } = detector.compareSpecs(previous.spec, spec);
+        if (hasChanges) {
+          entry = changelog.record(changelog.createEntry(summary, { ...context, previousVersion: previous.spec.info.version }));
+        }
+      }
+    }
+    
+    changelog.spec = { version: context.version, hash };
+    if (!this.options.dryRun) {
+      await changelog.save();
+    }
+    
+    return entry;
+  }
+
+  /**
+   * Read the spec the changelog was last compared with from the git history of
+   * the public spec. An uncommitted spec cannot be found; the latest committed
+   * revision is compared instead (changes recorded twice are merged).
+   */
+  findRecordedSpec(recorded) {
+    let previous = null;
+    try {
+      previous = new SpecHistory({ specPath: this.options.specPath }).findRevision(recorded.hash);
+    } catch (error) {
+      this.verbose(`Could not read the spec history: ${error.message}`);
+    }
+    
+    if (!previous) {
+      console.warn(chalk.yellow(`⚠️  Spec ${recorded.version} (${recorded.hash}) is not in the git history; recording the current spec without comparing`));
+    } else if (!previous.matched) {
+      console.warn(chalk.yellow(`⚠️  Spec ${recorded.version} (${recorded.hash}) was never committed; comparing with ${previous.revision.commit.slice(0, 7)} instead`));
+    }
+    
+    return previous;
+  }
+
+  /**
+   * Add page URLs to a changelog entry and link its endpoints to their current pages
+   */
+  prepareChangelogEntry(entry) {
+    const pages = new Map(this.data.endpoints.map(endpoint => [`${endpoint.method} ${endpoint.path}`, this.getEndpointUrl(endpoint)]));
+    const link = (item) => ({ ...item, link: item.method ? pages.get(`${item.method} ${item.path}`) : undefined });
+    const slug = versionSlug(entry.version);
+    
+    return {
+      ...entry,
+      slug,
+      url: `/api-reference/changelog/${slug}/`,
+      breaking: entry.breaking.map(link),
+      added: entry.added.map(link),
+      changed: entry.changed.map(link),
+      // Removed endpoints have no page to link to
+      removed: entry.removed
+    };
+  }
+
+  /**
+   * Get the URL of an endpoint's page
+   */
+  getEndpointUrl(endpoint) {
+    return `/api-reference/endpoints/${this.kebabCase(endpoint.tags[0] || 'untagged')}/${endpoint.slug}/`;
+  }
+
   /**
    * Update navigation configuration
    */
@@ -280,12 +816,106 @@ class DocumentationGenerator {
   }
 
   /**
-   * Load a Handlebars template
+   * Rewrite the API Reference sidebar from the parsed spec (watch mode, after
+   * the spec changed). The config is only written when the sidebar changed.
+   */
+  async syncNavigation() {
+    const updater = new NavigationUpdater({
+      specPath: this.options.specPath,
+      configPath: this.options.navConfigPath,
+      dryRun: this.options.dryRun,
+      verbose: this.options.verbose
+    });
+    await updater.update();
+  }
+
+  /**
+   * Load a Handlebars template source
    */
   async loadTemplate(templatePath) {
-    const fullPath = path.join(this.options.templatesDir, templatePath);
-    const templateContent = await fs.readFile(fullPath, 'utf8');
-    return handlebars.compile(templateContent);
+    const fullPath = path.resolve(this.options.templatesDir, templatePath);
+    return fs.readFile(fullPath, 'utf8');
+  }
+
+  /**
+   * Find a template in the first layer that provides it (e.g. `custom/` before `base/`)
+   */
+  async resolveTemplate(fileName) {
+    for (const layer of this.options.templateLayers) {
+      const templatePath = path.join(layer, fileName);
+      if (await fs.pathExists(path.resolve(this.options.templatesDir, templatePath))) {
+        return templatePath;
+      }
+    }
+    
+    throw new Error(`Template ${fileName} not found in layers: ${this.options.templateLayers.join(', ')}`);
+  }
+
+  /**
+   * Register every `partials/*.mdx` file of the template layers as a partial named
+   * after the file; higher layers replace partials of the same name.
+   * Returns the partial sources by name.
+   */
+  async registerPartials() {
+    const sources = {};
+    
+    for (const layer of [...this.options.templateLayers].reverse()) {
+      const partialsDir = path.resolve(this.options.templatesDir, layer, 'partials');
+      const files = glob.sync('**/*.mdx', { cwd: partialsDir }).sort();
+      
+      for (const file of files) {
+        const name = file.replace(/\.mdx$/, '').split(path.sep).join('/');
+        sources[name] = await fs.readFile(path.join(partialsDir, file), 'utf8');
+      }
+    }
+    
+    // Drop partials registered by a previous run (watch mode) that no longer exist
+    for (const name of this.partialNames || []) {
+      if (!(name in sources)) {
+        handlebars.unregisterPartial(name);
+      }
+    }
+    
+    for (const [name, source] of Object.entries(sources)) {
+      handlebars.registerPartial(name, source);
+    }
+    this.partialNames = Object.keys(sources);
+    
+    this.verbose(`Registered ${this.partialNames.length} partials: ${this.partialNames.join(', ')}`);
+    return sources;
+  }
+
+  /**
+   * Register the helpers of the modules listed in `templates.helpers`. A module
+   * default-exports either an object of helper functions or a function that
+   * receives the Handlebars instance. Returns the module sources.
+   */
+  async registerProjectHelpers() {
+    const sources = [];
+    
+    for (const modulePath of this.options.helperModules) {
+      const relativePath = path.relative(process.cwd(), modulePath);
+      const source = await fs.readFile(modulePath, 'utf8');
+      sources.push(source);
+      
+      const module = await importFresh(modulePath);
+      const helpers = module.default ?? module;
+      
+      if (typeof helpers === 'function') {
+        helpers(handlebars);
+      } else {
+        for (const [name, helper] of Object.entries(helpers)) {
+          if (typeof helper !== 'function') {
+            throw new Error(`Helper "${name}" in ${relativePath} is not a function`);
+          }
+          handlebars.registerHelper(name, helper);
+        }
+      }
+      
+      this.verbose(`Registered helpers from ${relativePath}`);
+    }
+    
+    return sources;
   }
 
   /**
@@ -304,15 +934,55 @@ class DocumentationGenerator {
     // Helper for less than
     handlebars.registerHelper('lt', (a, b) => a < b);
     
-    // Helper for logical OR
-    handlebars.registerHelper('or', (a, b) => a || b);
+    // Helper for logical OR (any number of arguments; the last one is the Handlebars options object)
+    handlebars.registerHelper('or', (...args) => args.slice(0, -1).some(Boolean));
     
-    // Helper for logical AND
-    handlebars.registerHelper('and', (a, b) => a && b);
+    // Helper for logical AND (any number of arguments)
+    handlebars.registerHelper('and', (...args) => args.slice(0, -1).every(Boolean));
     
     // Helper for array length check
     handlebars.registerHelper('hasItems', (array) => Array.isArray(array) && array.length > 0);
     
+    // Helper for listing enum values as inline code
+    handlebars.registerHelper('enumValues', (values) => {
+      if (!Array.isArray(values)) return '';
+      const list = values.map(value => `\`${handlebars.escapeExpression(String(value))}\``).join(', ');
+      return new handlebars.SafeString(list);
+    });
+    
+    // Helper for rendering validation constraints as a compact table cell
+    handlebars.registerHelper('constraints', (constraints) => {
+      if (!constraints || Object.keys(constraints).length === 0) {
+        return '-';
+      }
+
+      const code = (value) => `\`${handlebars.escapeExpression(String(value)).replace(/\|/g, '\\|')}\``;
+      const labels = {
+        minLength: (value) => `min length ${value}`,
+        maxLength: (value) => `max length ${value}`,
+        pattern: (value) => `pattern ${code(value)}`,
+        minimum: (value) => `≥ ${value}`,
+        maximum: (value) => `≤ ${value}`,
+        exclusiveMinimum: (value) => `> ${value}`,
+        exclusiveMaximum: (value) => `< ${value}`,
+        multipleOf: (value) => `multiple of ${value}`,
+        minItems: (value) => `min items ${value}`,
+        maxItems: (value) => `max items ${value}`,
+        uniqueItems: () => 'unique items',
+        minProperties: (value) => `min properties ${value}`,
+        maxProperties: (value) => `max properties ${value}`,
+        readOnly: () => 'read-only',
+        writeOnly: () => 'write-only',
+        nullable: () => 'nullable'
+      };
+
+      const parts = Object.entries(constraints)
+        .filter(([keyword]) => labels[keyword])
+        .map(([keyword, value]) => labels[keyword](value));
+
+      return new handlebars.SafeString(parts.length > 0 ? parts.join(', ') : '-');
+    });
+    
     // Helper for JSON formatting
     handlebars.registerHelper('json', (obj) => JSON.stringify(obj, null, 2));
     
@@ -359,6 +1029,14 @@ class DocumentationGenerator {
       return statusMap[status] || `${status}`;
     });
     
+    // Helpers for spec descriptions (Markdown): `below` is the heading marker of the enclosing section
+    handlebars.registerHelper('markdown', (text, options) => {
+      return new handlebars.SafeString(this.markdown.renderBlock(text, { below: options.hash.below }));
+    });
+    
+    // Helper for descriptions in table cells and headings (single line)
+    handlebars.registerHelper('inlineMarkdown', (text) => new handlebars.SafeString(this.markdown.renderInline(text)));
+    
     // Helper for escaping curly braces in paths for MDX
     handlebars.registerHelper('escapePath', (path) => {
       return path.replace(/{/g, '\\{').replace(/}/g, '\\}');
@@ -366,16 +1044,293 @@ class DocumentationGenerator {
   }
 
   /**
-   * Write file with proper directory creation
+   * Load the manifest of the previous generation run
    */
-  async writeFile(filePath, content) {
+  async loadManifest() {
+    this.manifest = new GenerationManifest(this.options.manifestPath, this.options.rootDir);
+    await this.manifest.load();
+  }
+
+  /**
+   * Save the manifest for the next generation run
+   */
+  async saveManifest() {
+    if (this.options.dryRun) {
+      return;
+    }
+    
+    await this.manifest.save('scripts/generate-docs.js v1.0.0');
+    this.verbose(`Updated manifest: ${path.relative(process.cwd(), this.options.manifestPath)}`);
+  }
+
+  /**
+   * Render a template into a page, skipping pages whose inputs did not change
+   * since the last run (their timestamp and content stay as they are, also when
+   * a re-render produces the same page)
+   */
+  async writePage(templateName, templateData, filePath, source) {
+    const page = {
+      template: templateName,
+      data: { ...templateData, branding: this.options.branding },
+      filePath,
+      source
+    };
+    
+    // Plugins may adjust the page data or drop the page (it is then treated as stale)
+    if (!await this.plugins.beforeRender(page, this.createPluginContext())) {
+      this.stats.pagesDropped++;
+      this.verbose(`Dropped by plugin: ${path.relative(process.cwd(), page.filePath)}`);
+      return false;
+    }
+    
+    const sourceHash = this.manifest.hashSource(this.templateSources[templateName], this.dependencySource, page.data);
+    const entry = { template: templateName, source, sourceHash };
+    
+    if (!this.options.force && this.manifest.isUpToDate(page.filePath, sourceHash) && await fs.pathExists(page.filePath)) {
+      this.manifest.record(page.filePath, entry);
+      this.stats.filesUnchanged++;
+      this.verbose(`Up to date: ${path.relative(process.cwd(), page.filePath)}`);
+      await this.plugins.run('afterWrite', { ...page, status: 'up-to-date' }, this.createPluginContext());
+      return false;
+    }
+    
+    const content = this.templates[templateName]({
+      ...page.data,
+      timestamp: new Date().toISOString()
+    });
+    const status = await this.writeFile(page.filePath, content);
+    
+    if (status === 'conflict') {
+      // Keep the page expected (not stale) but regenerate it next time
+      this.manifest.carryOver(page.filePath, { ...entry, sourceHash: null });
+    } else {
+      this.manifest.record(page.filePath, entry);
+    }
+    
+    await this.plugins.run('afterWrite', { ...page, content, status }, this.createPluginContext());
+    return status !== 'unchanged' && status !== 'conflict';
+  }
+
+  /**
+   * Write an extra output (the changelog feed or a plugin's output). Markdown
+   * pages go through the same merge as generated pages; other files are written as-is.
+   */
+  async emitFile(filePath, content, source) {
+    filePath = path.resolve(this.options.rootDir, filePath);
+    const relativePath = path.relative(process.cwd(), filePath);
+    const sourceHash = this.manifest.hashSource(content);
+    const entry = { template: null, source, sourceHash, raw: !/\.mdx?$/.test(filePath) };
+    
+    if (!this.options.force && this.manifest.isUpToDate(filePath, sourceHash) && await fs.pathExists(filePath)) {
+      this.manifest.record(filePath, entry);
+      this.stats.filesUnchanged++;
+      return 'up-to-date';
+    }
+    
+    if (!entry.raw) {
+      const status = await this.writeFile(filePath, content);
+      if (status === 'conflict') {
+        this.manifest.carryOver(filePath, { ...entry, sourceHash: null });
+      } else {
+        this.manifest.record(filePath, entry);
+      }
+      return status;
+    }
+    
+    const existing = await fs.pathExists(filePath) ? await fs.readFile(filePath, 'utf8') : null;
+    this.manifest.record(filePath, entry);
+    
+    if (existing === content) {
+      this.stats.filesUnchanged++;
+      return 'unchanged';
+    }
+    
+    this.stats.filesWritten++;
     if (this.options.dryRun) {
-      this.verbose(`[DRY RUN] Would write: ${path.relative(process.cwd(), filePath)}`);
+      this.printDiff(relativePath, existing, content);
+    } else {
+      await fs.ensureDir(path.dirname(filePath));
+      await fs.writeFile(filePath, content, 'utf8');
+    }
+    
+    return existing === null ? 'created' : 'updated';
+  }
+
+  /**
+   * Make a template available by name: a built-in template or a file resolved
+   * through the template layers (e.g. a plugin's `custom/changelog.mdx`)
+   */
+  async ensureTemplate(templateName) {
+    if (this.templates[templateName]) {
       return;
     }
     
+    const templatePath = await this.resolveTemplate(templateName);
+    this.templateSources[templateName] = await this.loadTemplate(templatePath);
+    this.templates[templateName] = handlebars.compile(this.templateSources[templateName]);
+  }
+
+  /**
+   * Load the plugins listed in the config
+   */
+  async loadPlugins() {
+    const plugins = await this.plugins.load(this.options.plugins);
+    
+    if (plugins.length > 0) {
+      this.log(`🔌 Loaded ${plugins.length} plugin(s): ${plugins.map(plugin => plugin.name).join(', ')}`);
+    }
+  }
+
+  /**
+   * Let plugins write outputs of their own
+   */
+  async runEmitters() {
+    if (!this.plugins.has('emit')) {
+      return;
+    }
+    
+    this.log('🔌 Running plugin emitters...');
+    await this.plugins.run('emit', this.createPluginContext());
+  }
+
+  /**
+   * Build the context object passed to plugin hooks
+   */
+  createPluginContext() {
+    return {
+      data: this.data,
+      options: this.options,
+      handlebars,
+      log: (message) => this.log(message),
+      verbose: (message) => this.verbose(message),
+      kebabCase: (str) => this.kebabCase(str),
+      emitPage: async (templateName, templateData, filePath, source = 'plugin') => {
+        await this.ensureTemplate(templateName);
+        this.stats.filesEmitted++;
+        return this.writePage(templateName, templateData, path.resolve(this.options.rootDir, filePath), source);
+      },
+      emitFile: (filePath, content, source = 'plugin') => {
+        this.stats.filesEmitted++;
+        return this.emitFile(filePath, content, source);
+      }
+    };
+  }
+
+  /**
+   * Write a generated page, merging it into the existing file if there is one.
+   * Returns the merge status (`created`, `updated`, `unchanged` or `conflict`).
+   */
+  async writeFile(filePath, content) {
+    const relativePath = path.relative(process.cwd(), filePath);
+    const existing = await fs.pathExists(filePath) ? await fs.readFile(filePath, 'utf8') : null;
+    const result = this.merger.merge(existing, content, { force: this.options.force });
+    
+    result.conflicts.forEach(conflict => {
+      this.stats.conflicts.push({ file: relativePath, ...conflict });
+      console.warn(chalk.yellow(`⚠️  ${relativePath}: ${conflict.message}`));
+    });
+    this.stats.customBlocksPreserved += result.preservedBlocks;
+    
+    if (result.status === 'conflict' || result.status === 'unchanged') {
+      if (result.status === 'unchanged') {
+        this.stats.filesUnchanged++;
+      }
+      return result.status;
+    }
+    
+    this.stats.filesWritten++;
+    
+    if (this.options.dryRun) {
+      this.printDiff(relativePath, existing, result.content);
+      return result.status;
+    }
+    
     await fs.ensureDir(path.dirname(filePath));
-    await fs.writeFile(filePath, content, 'utf8');
+    await fs.writeFile(filePath, result.content, 'utf8');
+    return result.status;
+  }
+
+  /**
+   * Remove generated pages whose endpoint, tag or model no longer exists.
+   * Pages carrying custom content or hand edits (or all pages with --keep-stale)
+   * are only flagged.
+   */
+  async cleanupStaleFiles() {
+    this.log('🧹 Checking for stale generated pages...');
+    
+    const candidates = new Set(this.manifest.getStaleFiles());
+    
+    // Generated pages written before the manifest existed
+    for (const dir of [this.options.outputDir, this.options.modelsDir, this.options.changelogDir]) {
+      glob.sync(path.join(dir, '**/*.mdx')).forEach(file => {
+        if (!this.manifest.has(file)) {
+          candidates.add(path.resolve(file));
+        }
+      });
+    }
+    
+    for (const filePath of candidates) {
+      if (!await fs.pathExists(filePath)) {
+        continue;
+      }
+      
+      const relativePath = path.relative(process.cwd(), filePath);
+      const content = await fs.readFile(filePath, 'utf8');
+      const previous = this.manifest.getPrevious(filePath);
+      
+      // Non-Markdown plugin outputs carry no hash of their own
+      const integrity = previous?.raw
+        ? (this.manifest.hashSource(content) === previous.sourceHash ? 'intact' : 'modified')
+        : this.merger.checkIntegrity(content);
+      
+      if (integrity === 'unmanaged') {
+        continue;
+      }
+      
+      if (this.options.keepStale || integrity === 'modified' || (!previous?.raw && this.merger.hasCustomContent(content))) {
+        this.stats.staleFlagged++;
+        console.warn(chalk.yellow(`⚠️  Stale page kept (custom content or --keep-stale): ${relativePath}`));
+        continue;
+      }
+      
+      this.stats.staleRemoved++;
+      
+      if (this.options.dryRun) {
+        this.printDiff(relativePath, content, null);
+        continue;
+      }
+      
+      await fs.remove(filePath);
+      const dir = path.dirname(filePath);
+      if ((await fs.readdir(dir)).length === 0) {
+        await fs.remove(dir);
+      }
+      this.verbose(`Removed stale page: ${relativePath}`);
+    }
+    
+    this.log(`✅ ${this.stats.staleRemoved} stale pages removed, ${this.stats.staleFlagged} flagged`);
+  }
+
+  /**
+   * Print a unified diff of a pending change (dry run)
+   */
+  printDiff(relativePath, before, after) {
+    const patch = createTwoFilesPatch(
+      before === null ? '/dev/null' : `a/${relativePath}`,
+      after === null ? '/dev/null' : `b/${relativePath}`,
+      before ?? '',
+      after ?? ''
+    );
+    
+    const colorize = (line) => {
+      if (line.startsWith('+++') || line.startsWith('---')) return chalk.bold(line);
+      if (line.startsWith('+')) return chalk.green(line);
+      if (line.startsWith('-')) return chalk.red(line);
+      if (line.startsWith('@@')) return chalk.cyan(line);
+      return line;
+    };
+    
+    console.log(patch.split('\n').slice(1).map(colorize).join('\n'));
   }
 
   /**
@@ -444,7 +1399,23 @@ class DocumentationGenerator {
     console.log(chalk.gray('📊 Summary:'));
     console.log(chalk.gray(`   • ${this.stats.endpointsGenerated} endpoints documented`));
     console.log(chalk.gray(`   • ${this.stats.sectionsCreated} sections created`));
+    console.log(chalk.gray(`   • ${this.stats.modelsGenerated} data models documented`));
+    console.log(chalk.gray(`   • ${this.stats.changelogVersions} changelog versions`));
     console.log(chalk.gray(`   • ${this.stats.filesWritten} files written`));
+    console.log(chalk.gray(`   • ${this.stats.filesUnchanged} files unchanged`));
+    console.log(chalk.gray(`   • ${this.stats.staleRemoved} stale files removed, ${this.stats.staleFlagged} flagged`));
+    console.log(chalk.gray(`   • ${this.stats.customBlocksPreserved} custom blocks preserved`));
+    
+    if (this.plugins.plugins.length > 0) {
+      console.log(chalk.gray(`   • ${this.stats.filesEmitted} plugin outputs emitted, ${this.stats.pagesDropped} pages dropped by plugins`));
+    }
+    
+    if (this.stats.conflicts.length > 0) {
+      console.log(chalk.yellow(`   • ${this.stats.conflicts.length} merge conflicts (files left untouched or blocks relocated)`));
+      this.stats.conflicts.forEach(conflict => {
+        console.log(chalk.yellow(`     - ${conflict.file}: ${conflict.type}`));
+      });
+    }
     
     if (this.stats.errors.length > 0) {
       console.log(chalk.yellow(`   • ${this.stats.errors.length} errors encountered`));
@@ -452,7 +1423,7 @@ class DocumentationGenerator {
       if (this.options.verbose) {
         console.log(chalk.yellow('\n⚠️  Errors:'));
         this.stats.errors.forEach(error => {
-          console.log(chalk.yellow(`   • ${error.type}: ${error.endpoint || error.section} - ${error.error}`));
+          console.log(chalk.yellow(`   • ${error.type}: ${error.endpoint || error.section || error.model} - ${error.error}`));
         });
       }
     }
@@ -471,16 +1442,27 @@ async function main() {
   const options = {
     dryRun: args.includes('--dry-run'),
     verbose: args.includes('--verbose') || args.includes('-v'),
+    force: args.includes('--force'),
+    keepStale: args.includes('--keep-stale'),
   };
   
   const generator = new DocumentationGenerator(options);
+  
+  if (args.includes('--watch')) {
+    await generator.watch();
+    return;
+  }
+  
   await generator.generate();
 }
 
 // Run if called directly
 if (import.meta.url === `file://${process.argv[1]}`) {
   main().catch(error => {
-    console.error(chalk.red('Fatal error:'), error);
+    console.error(chalk.red('❌ Generation failed:'), error.message);
+    if (process.argv.includes('--verbose') || process.argv.includes('-v')) {
+      console.error(error.stack);
+    }
     process.exit(1);
   });
 }
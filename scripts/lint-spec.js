@@ -0,0 +1,274 @@
+#!/usr/bin/env node
+
+import fs from 'fs-extra';
+import path from 'path';
+import chalk from 'chalk';
+import { fileURLToPath } from 'url';
+import { SpecBundler } from './utils/spec-bundler.js';
+import { RefResolver } from './utils/ref-resolver.js';
+import { importFresh } from './utils/plugin-manager.js';
+import { locatePointer } from './utils/diff-report.js';
+import { BUILTIN_RULES, SEVERITIES, getOperations } from './utils/lint-rules.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Spec Linter for WP Engine Customer API Documentation
+ *
+ * Checks the spec against the house style rules in utils/lint-rules.js and
+ * any rule plugins. The `lint.rules` config turns rules off or changes their
+ * severity:
+ *
+ *   rules: {
+ *     description_quality: 'off',
+ *     uuid_parameter_example: 'error',
+ *     error_responses_consistent: ['warning', { statuses: ['401', '429'] }]
+ *   }
+ *
+ * Errors fail the run; warnings and infos are reported only.
+ */
+
+class SpecLinter {
+  constructor(options = {}) {
+    this.options = {
+      specPath: path.resolve(__dirname, '../public/openapi/v1.yaml'),
+      rules: {},
+      plugins: [],
+      verbose: options.verbose || false,
+      ...options
+    };
+
+    this.rules = [];
+    this.issues = [];
+  }
+
+  /**
+   * Main lint process
+   */
+  async lint() {
+    console.log(chalk.bold.blue('🔍 WP Engine API Spec Linter\n'));
+
+    const specPath = this.options.specPath;
+    if (!await fs.pathExists(specPath)) {
+      throw new Error(`Specification file not found: ${path.relative(process.cwd(), specPath)}`);
+    }
+
+    const spec = new SpecBundler(specPath).bundle();
+    const text = await fs.readFile(specPath, 'utf8');
+
+    this.rules = await this.loadRules();
+    this.issues = [];
+
+    for (const rule of this.rules) {
+      this.runRule(rule, spec, text);
+    }
+
+    const result = {
+      specPath,
+      rules: this.rules.map(rule => ({ id: rule.id, severity: rule.severity })),
+      errors: this.count('error'),
+      warnings: this.count('warning'),
+      infos: this.count('info'),
+      issues: this.issues
+    };
+
+    if (this.options.outputPath) {
+      await fs.outputJson(this.options.outputPath, result, { spaces: 2 });
+      this.log(`📝 Wrote ${path.relative(process.cwd(), this.options.outputPath)}`);
+    }
+
+    this.printSummary();
+
+    return result;
+  }
+
+  /**
+   * Built-in and plugin rules, with the configured severities and options.
+   * Rules set to 'off' are left out.
+   */
+  async loadRules() {
+    const rules = [...BUILTIN_RULES];
+
+    for (const entry of this.options.plugins) {
+      for (const rule of await this.loadPlugin(entry)) {
+        if (rules.some(existing => existing.id === rule.id)) {
+          throw new Error(`Duplicate lint rule "${rule.id}"`);
+        }
+        rules.push(rule);
+      }
+    }
+
+    const unknown = Object.keys(this.options.rules).filter(id => !rules.some(rule => rule.id === id));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown lint rule(s) in config: ${unknown.join(', ')}`);
+    }
+
+    return rules
+      .map(rule => {
+        const setting = this.options.rules[rule.id];
+        const [severity, options] = Array.isArray(setting) ? setting : [setting, {}];
+        return { ...rule, severity: severity ?? rule.severity, options: options ?? {} };
+      })
+      .filter(rule => rule.severity !== 'off');
+  }
+
+  /**
+   * Load rules from a plugin entry: a module path, a `[path, options]` pair or
+   * an inline rule. A module default-exports a rule, an array of rules, or a
+   * function that receives the options and returns either.
+   */
+  async loadPlugin(entry) {
+    const [specifier, options] = Array.isArray(entry) ? entry : [entry, {}];
+
+    if (typeof specifier !== 'string') {
+      return [this.validateRule(specifier, 'inline rule')];
+    }
+
+    const relativePath = path.relative(process.cwd(), specifier);
+    if (!await fs.pathExists(specifier)) {
+      throw new Error(`Lint plugin not found: ${relativePath}`);
+    }
+
+    const module = await importFresh(specifier);
+    const exported = module.default ?? module;
+    const rules = typeof exported === 'function' ? await exported(options) : exported;
+
+    return [].concat(rules).map(rule => this.validateRule(rule, relativePath));
+  }
+
+  /**
+   * Check a rule's shape
+   */
+  validateRule(rule, origin) {
+    if (!rule || typeof rule !== 'object' || typeof rule.id !== 'string' || typeof rule.check !== 'function') {
+      throw new Error(`Lint rule from ${origin} must be an object with an id and a check function`);
+    }
+    if (rule.severity !== undefined && !SEVERITIES.includes(rule.severity)) {
+      throw new Error(`Lint rule "${rule.id}" from ${origin} has an unknown severity "${rule.severity}"`);
+    }
+
+    return { description: '', ...rule, severity: rule.severity ?? 'warning' };
+  }
+
+  /**
+   * Run one rule and record what it reports
+   */
+  runRule(rule, spec, text) {
+    const resolver = new RefResolver(spec);
+    const context = {
+      spec,
+      resolver,
+      operations: getOperations(spec),
+      resolve: (value) => {
+        try {
+          return resolver.resolve(value);
+        } catch {
+          return null;
+        }
+      },
+      report: ({ message, pointer = '' }) => {
+        this.issues.push({
+          rule: rule.id,
+          severity: rule.severity,
+          message,
+          pointer,
+          line: pointer ? locatePointer(text, pointer) : null
+        });
+      }
+    };
+
+    try {
+      rule.check(context, rule.options);
+    } catch (error) {
+      throw new Error(`Lint rule "${rule.id}" failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Number of issues with a severity
+   */
+  count(severity) {
+    return this.issues.filter(issue => issue.severity === severity).length;
+  }
+
+  /**
+   * Log message if verbose mode is enabled
+   */
+  log(message) {
+    if (this.options.verbose) {
+      console.log(chalk.gray(message));
+    }
+  }
+
+  /**
+   * Print lint summary
+   */
+  printSummary() {
+    const specPath = path.relative(process.cwd(), this.options.specPath);
+    const colors = { error: chalk.red, warning: chalk.yellow, info: chalk.cyan };
+    const icons = { error: '❌', warning: '⚠️ ', info: 'ℹ️ ' };
+
+    for (const severity of SEVERITIES) {
+      const issues = this.issues.filter(issue => issue.severity === severity);
+      // Infos are only listed in verbose mode
+      if (issues.length === 0 || (severity === 'info' && !this.options.verbose)) {
+        continue;
+      }
+
+      console.log(colors[severity](`\n${icons[severity]} ${severity[0].toUpperCase()}${severity.slice(1)}s:`));
+      issues.forEach(issue => {
+        const location = issue.line ? `${specPath}:${issue.line}` : specPath;
+        console.log(colors[severity](`   • ${location} ${issue.message} `) + chalk.gray(`[${issue.rule}]`));
+      });
+    }
+
+    console.log(chalk.bold.green('\n✨ Spec linting completed!'));
+    console.log(chalk.gray('📊 Summary:'));
+    console.log(chalk.gray(`   • ${this.rules.length} rules checked against ${specPath}`));
+
+    for (const severity of SEVERITIES) {
+      const count = this.count(severity);
+      if (count > 0) {
+        console.log(colors[severity](`   • ${count} ${severity}${count === 1 ? '' : 's'} found`));
+      }
+    }
+
+    if (this.issues.length === 0) {
+      console.log(chalk.green('   • No issues found! 🎉'));
+    }
+  }
+}
+
+/**
+ * CLI interface
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const specPath = args.find(arg => !arg.startsWith('-'));
+  const options = {
+    ...(specPath && { specPath: path.resolve(specPath) }),
+    verbose: args.includes('--verbose') || args.includes('-v'),
+  };
+
+  const linter = new SpecLinter(options);
+  const result = await linter.lint();
+
+  // Exit with error code if there are errors
+  if (result.errors > 0) {
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main().catch(error => {
+    console.error(chalk.red('❌ Linting failed:'), error.message);
+    if (process.argv.includes('--verbose') || process.argv.includes('-v')) {
+      console.error(error.stack);
+    }
+    process.exit(1);
+  });
+}
+
+export { SpecLinter };
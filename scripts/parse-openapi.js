@@ -1,15 +1,24 @@
 #!/usr/bin/env node
 
 import fs from 'fs-extra';
-import yaml from 'js-yaml';
 import chalk from 'chalk';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { ResponseExampleGenerator } from './utils/response-examples.js';
+import { RefResolver } from './utils/ref-resolver.js';
+import { SpecAdapter } from './utils/spec-adapter.js';
+import { SchemaComposer } from './utils/schema-composer.js';
+import { SpecBundler } from './utils/spec-bundler.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+const DEFAULT_SPEC_PATH = path.resolve(__dirname, '../public/openapi/v1.yaml');
+const DEFAULT_OUTPUT_PATH = path.resolve(__dirname, '../.temp/parsed-openapi.json');
+
+// Statuses a client should retry after waiting: rate limited, temporarily unavailable
+const RETRYABLE_STATUSES = ['429', '503'];
+
 /**
  * OpenAPI Parser for WP Engine Customer API Documentation
  * 
@@ -24,6 +33,10 @@ class OpenAPIParser {
     this.endpoints = [];
     this.tags = new Map();
     this.schemas = new Map();
+    this.models = new Map();
+    this.resolver = null;
+    this.adapter = null;
+    this.composer = null;
     this.responseGenerator = null;
   }
 
@@ -34,8 +47,8 @@ class OpenAPIParser {
     try {
       console.log(chalk.blue('📖 Parsing OpenAPI specification...'));
       
-      const specContent = await fs.readFile(this.specPath, 'utf8');
-      this.spec = yaml.load(specContent);
+      // Bundle external $refs so multi-file specs parse as a single document
+      this.spec = new SpecBundler(this.specPath).bundle();
       
       // Debug: Check if spec was loaded properly
       if (!this.spec) {
@@ -50,9 +63,13 @@ class OpenAPIParser {
       console.log(chalk.green(`✅ Loaded OpenAPI spec: ${this.spec.info.title || 'Unknown'} v${this.spec.info.version || 'Unknown'}`));
       
       this.validateSpec();
+      this.resolver = new RefResolver(this.spec);
+      this.adapter = new SpecAdapter(this.spec);
+      this.composer = new SchemaComposer(this.spec);
       this.extractSchemas();
       this.responseGenerator = new ResponseExampleGenerator(this.spec);
       this.extractEndpoints();
+      this.extractModels();
       this.organizeByTags();
       
       return this.getStructuredData();
@@ -70,8 +87,12 @@ class OpenAPIParser {
       throw new Error('Invalid OpenAPI specification: missing version field');
     }
     
+    // OpenAPI 3.1 allows documents that only describe webhooks or components
     if (!this.spec.paths) {
-      throw new Error('Invalid OpenAPI specification: missing paths');
+      if (!this.spec.openapi?.startsWith('3.1')) {
+        throw new Error('Invalid OpenAPI specification: missing paths');
+      }
+      this.spec.paths = {};
     }
     
     console.log(chalk.green('✅ OpenAPI specification is valid'));
@@ -83,10 +104,13 @@ class OpenAPIParser {
   extractEndpoints() {
     console.log(chalk.blue('🔍 Extracting endpoints...'));
     
-    for (const [path, pathItem] of Object.entries(this.spec.paths)) {
+    for (const [path, rawPathItem] of Object.entries(this.spec.paths || {})) {
+      const pathItem = this.resolver.resolve(rawPathItem);
+      const pathParameters = pathItem.parameters || [];
+
       for (const [method, operation] of Object.entries(pathItem)) {
         if (['get', 'post', 'put', 'patch', 'delete', 'head', 'options'].includes(method)) {
-          const endpoint = this.processEndpoint(path, method, operation);
+          const endpoint = this.processEndpoint(path, method, operation, pathParameters, pathItem);
           this.endpoints.push(endpoint);
         }
       }
@@ -98,8 +122,11 @@ class OpenAPIParser {
   /**
    * Process a single endpoint
    */
-  processEndpoint(path, method, operation) {
-    const parameters = operation.parameters || [];
+  processEndpoint(path, method, operation, pathParameters = [], pathItem = {}) {
+    const parameters = this.mergeParameters(
+      this.resolver.resolveAll(pathParameters),
+      this.resolver.resolveAll(operation.parameters || [])
+    );
     
     const endpoint = {
       path,
@@ -112,6 +139,7 @@ class OpenAPIParser {
       requestBody: this.processRequestBody(operation.requestBody, parameters),
       security: operation.security || this.spec.security || [],
       deprecated: operation.deprecated || false,
+      rateLimit: this.getRateLimit(operation, pathItem),
       examples: this.extractExamples(operation)
     };
 
@@ -122,11 +150,44 @@ class OpenAPIParser {
     endpoint.displayName = this.generateDisplayName(endpoint);
     
     // Process responses after endpoint is constructed
-    endpoint.responses = this.processResponses(operation.responses || {}, endpoint);
+    endpoint.responses = this.processResponses(operation.responses || {}, endpoint, operation);
+    endpoint.retryableStatuses = Object.keys(endpoint.responses).filter(status => RETRYABLE_STATUSES.includes(status));
+    
+    // Record every data model the endpoint references (directly or nested)
+    endpoint.models = this.collectModelNames([
+      ...parameters.map(param => param.schema),
+      endpoint.requestBody?.schema,
+      ...Object.values(endpoint.responses).map(response => response.schema)
+    ]);
     
     return endpoint;
   }
 
+  /**
+   * Merge path-level and operation-level parameters.
+   * Operation parameters override path parameters with the same name and location.
+   */
+  mergeParameters(pathParameters, operationParameters) {
+    const merged = new Map();
+
+    [...pathParameters, ...operationParameters].forEach(param => {
+      merged.set(`${param.in}:${param.name}`, param);
+    });
+
+    return Array.from(merged.values());
+  }
+
+  /**
+   * Resolve a schema reference to its definition
+   */
+  resolveSchema(schema) {
+    if (!schema || !this.resolver) {
+      return schema;
+    }
+
+    return this.resolver.resolve(schema);
+  }
+
   /**
    * Process endpoint parameters
    */
@@ -135,19 +196,22 @@ class OpenAPIParser {
       path: [],
       query: [],
       header: [],
+      cookie: [],
       formData: []
     };
 
     parameters.forEach(param => {
+      const schema = this.adapter.getParameterSchema(param);
       const processedParam = {
         name: param.name,
-        type: param.type || 'string',
-        format: param.format,
+        type: schema.type || 'string',
+        format: schema.format,
         required: param.required || false,
         description: param.description || '',
-        example: param['x-example'] || param.example,
-        enum: param.enum,
-        default: param.default
+        example: param['x-example'] ?? param.example ?? this.adapter.getFirstExampleValue(param.examples) ?? schema.example,
+        enum: schema.enum,
+        default: schema.default,
+        constraints: this.adapter.getConstraints(schema)
       };
 
       if (param.in && processed[param.in]) {
@@ -159,18 +223,25 @@ class OpenAPIParser {
   }
 
   /**
-   * Process request body (for OpenAPI 3.0, adapt for Swagger 2.0)
+   * Process request body (OpenAPI 3.x `requestBody` or Swagger 2.0 `in: body` parameter)
    */
-  processRequestBody(requestBody, parameters = []) {
-    // Handle OpenAPI 3.0 style request body
-    if (requestBody && typeof requestBody === 'object' && requestBody.schema) {
+  processRequestBody(rawRequestBody, parameters = []) {
+    // Handle OpenAPI 3.x style request body: requestBody.content[mediaType].schema
+    const requestBody = this.resolver.resolve(rawRequestBody);
+    const media = this.adapter.getMediaTypeEntry(requestBody?.content);
+    if (media?.schema) {
+      const examples = this.extractBodyExamples(media);
+      const explicitExample = media.example ?? this.adapter.getFirstExampleValue(media.examples);
+
       return {
         required: requestBody.required || false,
         description: requestBody.description || '',
-        schema: requestBody.schema,
-        properties: this.processRequestBodyProperties(requestBody.schema),
-        examples: this.extractBodyExamples(requestBody),
-        example: this.generateRequestBodyExample(requestBody.schema)
+        mediaType: media.mediaType,
+        schema: media.schema,
+        properties: this.processSchemaProperties(media.schema),
+        examples,
+        example: explicitExample ?? this.generateRequestBodyExample(media.schema),
+        exampleVariants: this.generateExampleVariants(media.schema)
       };
     }
 
@@ -180,10 +251,12 @@ class OpenAPIParser {
       return {
         required: bodyParam.required || false,
         description: bodyParam.description || '',
+        mediaType: 'application/json',
         schema: bodyParam.schema,
-        properties: this.processRequestBodyProperties(bodyParam.schema),
+        properties: this.processSchemaProperties(bodyParam.schema),
         examples: this.extractBodyExamples(bodyParam),
-        example: this.generateRequestBodyExample(bodyParam.schema)
+        example: this.generateRequestBodyExample(bodyParam.schema),
+        exampleVariants: this.generateExampleVariants(bodyParam.schema)
       };
     }
 
@@ -191,9 +264,36 @@ class OpenAPIParser {
   }
 
   /**
-   * Process request body properties into flat structure with dot notation
+   * Flatten schema properties into a table with dot notation (request bodies and responses).
+   * Array items are addressed as `field[].child`; `allOf` members are merged;
+   * `oneOf`/`anyOf` alternatives are emitted once per variant with the variant
+   * label attached to each property.
    */
-  processRequestBodyProperties(schema, parentKey = '', parentRequired = []) {
+  processSchemaProperties(schema, parentKey = '', parentRequired = [], seenRefs = [], variant = null) {
+    if (schema?.$ref) {
+      if (seenRefs.includes(schema.$ref)) {
+        return [];
+      }
+      seenRefs = [...seenRefs, schema.$ref];
+    }
+
+    schema = this.composer.mergeAllOf(this.resolveSchema(schema));
+
+    const composition = this.composer.getVariants(schema, seenRefs);
+    if (composition) {
+      return composition.variants.flatMap(option => this.processSchemaProperties(
+        option.schema,
+        parentKey,
+        [],
+        seenRefs,
+        variant ? `${variant} › ${option.label}` : option.label
+      ));
+    }
+
+    if (this.adapter.normalizeSchema(schema)?.type === 'array' && schema.items) {
+      return this.processSchemaProperties(schema.items, `${parentKey}[]`, [], seenRefs, variant);
+    }
+
     if (!schema || !schema.properties) {
       return [];
     }
@@ -201,28 +301,53 @@ class OpenAPIParser {
     const properties = [];
     const required = schema.required || parentRequired;
 
-    for (const [propName, propSchema] of Object.entries(schema.properties)) {
+    for (const [propName, rawPropSchema] of Object.entries(schema.properties)) {
+      const resolvedPropSchema = this.composer.mergeAllOf(this.resolveSchema(rawPropSchema));
+      const propComposition = this.composer.getVariants(resolvedPropSchema, seenRefs);
+      const propSchema = this.adapter.normalizeSchema(resolvedPropSchema);
       const fullName = parentKey ? `${parentKey}.${propName}` : propName;
       const isRequired = required.includes(propName);
 
       const property = {
         name: fullName,
         required: isRequired,
+        nullable: Boolean(propSchema.nullable),
         description: propSchema.description || '',
-        type: propSchema.type || 'string',
+        type: propComposition
+          ? propComposition.variants.map(option => option.label).join(' | ')
+          : propSchema.type || 'string',
         format: propSchema.format,
-        enum: propSchema.enum
+        enum: propSchema.enum,
+        default: propSchema.default,
+        constraints: this.adapter.getConstraints(propSchema)
       };
 
+      const model = this.getModelLink(rawPropSchema);
+      if (model) {
+        property.model = model;
+      }
+
+      if (variant) {
+        property.variant = variant;
+      }
+
+      if (propComposition) {
+        property.composition = propComposition.keyword;
+      }
+
       properties.push(property);
 
-      // Handle nested object properties recursively
-      if (propSchema.type === 'object' && propSchema.properties) {
+      // Handle nested object and array item properties recursively
+      if (propComposition || propSchema.type === 'array') {
+        properties.push(...this.processSchemaProperties(rawPropSchema, fullName, [], seenRefs, variant));
+      } else if (propSchema.type === 'object' && propSchema.properties) {
         const nestedRequired = propSchema.required || [];
-        const nestedProperties = this.processRequestBodyProperties(
-          propSchema, 
+        const nestedProperties = this.processSchemaProperties(
+          rawPropSchema, 
           fullName, 
-          nestedRequired
+          nestedRequired,
+          seenRefs,
+          variant
         );
         properties.push(...nestedProperties);
       }
@@ -231,19 +356,86 @@ class OpenAPIParser {
     return properties;
   }
 
+  /**
+   * Get the rate limit of an operation from the `x-rate-limit` extension of the
+   * operation, its path item or the spec root (the nearest one applies):
+   * `{ limit, period, scope, description }`, where `period` is a number of
+   * seconds or a text such as "5 seconds"
+   */
+  getRateLimit(operation, pathItem = {}) {
+    const rateLimit = operation['x-rate-limit'] ?? pathItem['x-rate-limit'] ?? this.spec['x-rate-limit'];
+    if (!rateLimit || typeof rateLimit !== 'object') {
+      return null;
+    }
+
+    return {
+      limit: rateLimit.limit ?? null,
+      period: typeof rateLimit.period === 'number' ? `${rateLimit.period} seconds` : rateLimit.period ?? null,
+      scope: rateLimit.scope ?? null,
+      description: rateLimit.description || ''
+    };
+  }
+
+  /**
+   * Get the retry guidance of a response from its `x-retry-after` extension
+   * (`{ header, seconds, description }`), falling back to the operation's
+   * extension for 429 and 503 responses. A documented `Retry-After` header
+   * counts as guidance on its own.
+   */
+  getRetryAfter(statusCode, response, operation = {}) {
+    const extension = response['x-retry-after'] ?? (RETRYABLE_STATUSES.includes(statusCode) ? operation['x-retry-after'] : undefined);
+    const header = Object.keys(response.headers || {}).find(name => name.toLowerCase() === 'retry-after');
+    if (!extension && !header) {
+      return null;
+    }
+
+    const retryAfter = extension && typeof extension === 'object' ? extension : {};
+    return {
+      header: header ?? retryAfter.header ?? null,
+      seconds: retryAfter.seconds ?? null,
+      description: retryAfter.description || ''
+    };
+  }
+
+  /**
+   * Process response headers (Swagger 2.0 headers carry their type, OpenAPI 3.x ones a schema)
+   */
+  processHeaders(headers = {}) {
+    return Object.entries(headers).map(([name, rawHeader]) => {
+      const header = this.resolver.resolve(rawHeader) || {};
+      const schema = header.schema ? this.resolveSchema(header.schema) : header;
+
+      return {
+        name,
+        type: schema.type || 'string',
+        format: schema.format,
+        description: header.description || ''
+      };
+    });
+  }
+
   /**
    * Process response definitions
    */
-  processResponses(responses, endpoint) {
+  processResponses(responses, endpoint, operation = {}) {
     const processed = {};
 
-    for (const [statusCode, response] of Object.entries(responses)) {
+    for (const [statusCode, rawResponse] of Object.entries(responses)) {
+      const response = this.resolver.resolve(rawResponse);
+      const media = this.adapter.getMediaTypeEntry(response.content);
+      const schema = response.schema || media?.schema;
+      const explicitExample = media?.example ?? this.adapter.getFirstExampleValue(media?.examples);
       const processedResponse = {
         description: response.description || '',
-        schema: response.schema,
-        examples: response.examples || {},
-        headers: response.headers || {},
-        jsonExample: null
+        mediaType: media?.mediaType,
+        schema,
+        properties: schema ? this.processSchemaProperties(schema) : [],
+        model: this.getModelLink(schema),
+        examples: response.examples || media?.examples || {},
+        headers: this.processHeaders(response.headers),
+        retryAfter: this.getRetryAfter(statusCode, response, operation),
+        jsonExample: null,
+        jsonExampleVariants: []
       };
 
       // Generate JSON example from schema or contextual error
@@ -258,14 +450,20 @@ class OpenAPIParser {
               endpoint.path, 
               endpoint.method
             );
-          } else if (response.schema) {
+          } else if (explicitExample !== undefined) {
+            example = explicitExample;
+          } else if (schema) {
             // For success responses, use schema-based generation
-            example = this.responseGenerator.generateResponseExample(response);
+            example = this.responseGenerator.generateResponseExample({ schema });
           }
           
           if (example) {
             processedResponse.jsonExample = example;
           }
+
+          if (schema && !statusCode.startsWith('4') && !statusCode.startsWith('5')) {
+            processedResponse.jsonExampleVariants = this.responseGenerator.generateExampleVariants(schema);
+          }
         } catch (error) {
           console.warn(`Warning: Could not generate example for ${statusCode} response:`, error.message);
         }
@@ -307,8 +505,15 @@ class OpenAPIParser {
   extractBodyExamples(requestBody) {
     const examples = {};
     
+    // OpenAPI 3.x examples are Example Objects ({ summary, value }) that may be references
     if (requestBody.examples) {
-      return requestBody.examples;
+      for (const [name, example] of Object.entries(requestBody.examples)) {
+        const resolved = this.resolver.resolve(example);
+        examples[name] = resolved && typeof resolved === 'object' && 'value' in resolved
+          ? resolved.value
+          : resolved;
+      }
+      return examples;
     }
     
     if (requestBody.example) {
@@ -332,19 +537,63 @@ class OpenAPIParser {
     }
   }
 
+  /**
+   * Generate one labelled example per `oneOf`/`anyOf`/discriminator variant.
+   * Returns an empty list for schemas that are not polymorphic.
+   */
+  generateExampleVariants(schema) {
+    if (!schema) return [];
+
+    const seenRefs = schema.$ref ? [schema.$ref] : [];
+    const resolved = this.composer.mergeAllOf(this.resolveSchema(schema));
+    const composition = this.composer.getVariants(resolved, seenRefs);
+
+    if (!composition) return [];
+
+    return composition.variants.map(option => ({
+      label: option.label,
+      example: this.generateExampleFromSchema(option.schema, seenRefs)
+    }));
+  }
+
   /**
    * Generate example data from schema
    */
-  generateExampleFromSchema(schema) {
+  generateExampleFromSchema(schema, seenRefs = []) {
     if (!schema) return null;
 
+    if (schema.$ref) {
+      if (seenRefs.includes(schema.$ref)) {
+        return null;
+      }
+      seenRefs = [...seenRefs, schema.$ref];
+      schema = this.resolveSchema(schema);
+    }
+
+    schema = this.composer.mergeAllOf(schema);
+
+    // Polymorphic schemas use their first variant for the primary example
+    const composition = this.composer.getVariants(schema, seenRefs);
+    if (composition) {
+      return this.generateExampleFromSchema(composition.variants[0].schema, seenRefs);
+    }
+
+    schema = this.adapter.normalizeSchema(schema);
+
     if (schema.example !== undefined) {
       return schema.example;
     }
 
     if (schema.type === 'object' && schema.properties) {
       const example = {};
-      for (const [propName, propSchema] of Object.entries(schema.properties)) {
+      for (const [propName, rawPropSchema] of Object.entries(schema.properties)) {
+        if (rawPropSchema.$ref || rawPropSchema.allOf || this.composer.hasVariants(rawPropSchema)) {
+          example[propName] = this.generateExampleFromSchema(rawPropSchema, seenRefs);
+          continue;
+        }
+
+        const propSchema = this.adapter.normalizeSchema(rawPropSchema);
+
         if (propSchema.example !== undefined) {
           example[propName] = propSchema.example;
         } else if (propSchema.type === 'string') {
@@ -354,16 +603,16 @@ class OpenAPIParser {
         } else if (propSchema.type === 'boolean') {
           example[propName] = propSchema.example || true;
         } else if (propSchema.type === 'array') {
-          example[propName] = propSchema.example || [this.generateExampleFromSchema(propSchema.items)];
+          example[propName] = propSchema.example || [this.generateExampleFromSchema(propSchema.items, seenRefs)];
         } else if (propSchema.type === 'object') {
-          example[propName] = this.generateExampleFromSchema(propSchema);
+          example[propName] = this.generateExampleFromSchema(propSchema, seenRefs);
         }
       }
       return example;
     }
 
     if (schema.type === 'array' && schema.items) {
-      return [this.generateExampleFromSchema(schema.items)];
+      return [this.generateExampleFromSchema(schema.items, seenRefs)];
     }
 
     return null;
@@ -388,6 +637,104 @@ class OpenAPIParser {
     console.log(chalk.green(`✅ Extracted ${this.schemas.size} schema definitions`));
   }
 
+  /**
+   * Build data model reference entries for named object schemas,
+   * including the list of endpoints that use each model
+   */
+  extractModels() {
+    const refPrefix = this.composer.getSchemaRefPrefix();
+
+    for (const [name, schema] of this.schemas) {
+      if (!this.isModelSchema(schema)) {
+        continue;
+      }
+
+      const ref = { $ref: `${refPrefix}${name}` };
+      this.models.set(name, {
+        name,
+        slug: this.generateModelSlug(name),
+        description: schema.description || '',
+        properties: this.processSchemaProperties(ref),
+        example: this.generateExampleFromSchema(ref),
+        usedBy: []
+      });
+    }
+
+    this.endpoints.forEach(endpoint => {
+      endpoint.models = endpoint.models.filter(name => this.models.has(name));
+      endpoint.models.forEach(name => {
+        this.models.get(name).usedBy.push({
+          method: endpoint.method,
+          path: endpoint.path,
+          displayName: endpoint.displayName,
+          link: `/api-reference/endpoints/${this.kebabCase(endpoint.tags[0])}/${endpoint.slug}/`
+        });
+      });
+    });
+
+    console.log(chalk.green(`✅ Extracted ${this.models.size} data models`));
+  }
+
+  /**
+   * Check whether a named schema deserves its own model page (objects and compositions)
+   */
+  isModelSchema(schema) {
+    if (!schema || typeof schema !== 'object') {
+      return false;
+    }
+
+    const normalized = this.adapter.normalizeSchema(schema);
+    return normalized.type === 'object'
+      || Boolean(schema.allOf || schema.oneOf || schema.anyOf);
+  }
+
+  /**
+   * Get the model page a schema (or its array items) points at, if any
+   */
+  getModelLink(schema) {
+    const ref = schema?.$ref || schema?.items?.$ref;
+    if (!ref || !ref.startsWith(this.composer.getSchemaRefPrefix())) {
+      return undefined;
+    }
+
+    const name = this.resolver.getRefName(ref);
+    if (!this.isModelSchema(this.schemas.get(name))) {
+      return undefined;
+    }
+
+    return { name, slug: this.generateModelSlug(name) };
+  }
+
+  /**
+   * Collect the names of all named schemas reachable from the given schemas
+   */
+  collectModelNames(schemas, found = new Set()) {
+    const visit = (node) => {
+      if (Array.isArray(node)) {
+        node.forEach(visit);
+        return;
+      }
+
+      if (!node || typeof node !== 'object') {
+        return;
+      }
+
+      if (typeof node.$ref === 'string' && node.$ref.startsWith(this.composer.getSchemaRefPrefix())) {
+        const name = this.resolver.getRefName(node.$ref);
+        if (this.schemas.has(name) && !found.has(name)) {
+          found.add(name);
+          visit(this.schemas.get(name));
+        }
+        return;
+      }
+
+      Object.values(node).forEach(visit);
+    };
+
+    visit(schemas);
+    return Array.from(found);
+  }
+
   /**
    * Organize endpoints by tags
    */
@@ -464,6 +811,13 @@ class OpenAPIParser {
     return `${endpoint.method} ${endpoint.path}`;
   }
 
+  /**
+   * Generate URL slug for a data model page (`LargeFSConfig` → `large-fs-config`)
+   */
+  generateModelSlug(name) {
+    return this.kebabCase(name.replace(/([A-Z]+)([A-Z][a-z])/g, '$1-$2'));
+  }
+
   /**
    * Convert string to kebab-case
    */
@@ -493,6 +847,9 @@ class OpenAPIParser {
         title: this.spec.info.title,
         version: this.spec.info.version,
         description: this.spec.info.description,
+        specVersion: this.adapter.getVersion(),
+        servers: this.adapter.getServers(),
+        baseUrl: this.adapter.getBaseUrl(),
         host: this.spec.host,
         basePath: this.spec.basePath,
         schemes: this.spec.schemes
@@ -500,10 +857,12 @@ class OpenAPIParser {
       endpoints: this.endpoints,
       tags: Array.from(this.tags.values()),
       schemas: Object.fromEntries(this.schemas),
+      models: Array.from(this.models.values()),
       stats: {
         totalEndpoints: this.endpoints.length,
         totalTags: this.tags.size,
-        totalSchemas: this.schemas.size
+        totalSchemas: this.schemas.size,
+        totalModels: this.models.size
       }
     };
   }
@@ -525,14 +884,11 @@ class OpenAPIParser {
  */
 async function main() {
   try {
-    const specPath = path.resolve(__dirname, '../public/openapi/v1.yaml');
-    const outputPath = path.resolve(__dirname, '../.temp/parsed-openapi.json');
-    
     console.log(chalk.bold.blue('🚀 WP Engine API Documentation Parser\n'));
     
-    const parser = new OpenAPIParser(specPath);
+    const parser = new OpenAPIParser(DEFAULT_SPEC_PATH);
     const data = await parser.parseSpec();
-    await parser.saveToFile(outputPath);
+    await parser.saveToFile(DEFAULT_OUTPUT_PATH);
     
     console.log(chalk.bold.green('\n✨ Parsing completed successfully!'));
     console.log(chalk.gray(`📊 Statistics:`));
@@ -551,4 +907,4 @@ if (import.meta.url === `file://${process.argv[1]}`) {
   main();
 }
 
-export { OpenAPIParser };
+export { OpenAPIParser, DEFAULT_SPEC_PATH, DEFAULT_OUTPUT_PATH, RETRYABLE_STATUSES };
@@ -0,0 +1,463 @@
+#!/usr/bin/env node
+
+import fs from 'fs-extra';
+import path from 'path';
+import chalk from 'chalk';
+import yaml from 'js-yaml';
+import { fileURLToPath } from 'url';
+import { SpecBundler } from './utils/spec-bundler.js';
+import { RefResolver } from './utils/ref-resolver.js';
+import { encodePointer } from './utils/breaking-changes.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete', 'head', 'options', 'trace'];
+
+// Reusable definitions that are only published while something references them
+const COMPONENT_SECTIONS = [
+  ['definitions'],
+  ['parameters'],
+  ['responses'],
+  ['components', 'schemas'],
+  ['components', 'parameters'],
+  ['components', 'responses'],
+  ['components', 'requestBodies'],
+  ['components', 'headers']
+];
+
+/**
+ * Public Spec Sanitizer for WP Engine Customer API Documentation
+ *
+ * Produces the public copy of the OpenAPI specification served at `/openapi/v1.yaml`:
+ * strips API gateway vendor extensions, internal-only operations and YAML comments
+ * according to `config/spec-sanitize.yaml`. Definitions, parameters and responses
+ * that only the removed items referenced are dropped with them. Refuses to publish if
+ * any denylisted pattern survives or a `$ref` no longer resolves.
+ */
+
+class SpecSanitizer {
+  constructor(options = {}) {
+    this.options = {
+      sourcePath: path.resolve(__dirname, '../openapi/v1.yaml'),
+      outputPath: path.resolve(__dirname, '../public/openapi/v1.yaml'),
+      rulesPath: path.resolve(__dirname, '../config/spec-sanitize.yaml'),
+      dryRun: options.dryRun || false,
+      verbose: options.verbose || false,
+      ...options
+    };
+
+    this.rules = null;
+    this.stats = {
+      extensionsRemoved: 0,
+      internalRemoved: 0,
+      componentsRemoved: 0,
+      valuesRewritten: 0
+    };
+  }
+
+  /**
+   * Main sanitizing process
+   */
+  async sanitize() {
+    console.log(chalk.bold.blue('🧼 WP Engine API Public Spec Sanitizer\n'));
+
+    await this.loadRules();
+
+    this.log('📖 Loading source specification...');
+    const spec = new SpecBundler(this.options.sourcePath).bundle();
+    if (!spec || typeof spec !== 'object') {
+      throw new Error('Source specification appears to be empty or invalid');
+    }
+
+    const sanitized = this.sanitizeSpec(spec);
+    const content = this.serialize(sanitized);
+
+    this.checkReferences(sanitized);
+    this.checkDenylist(content);
+    await this.writeOutput(content);
+
+    this.printSummary();
+    return sanitized;
+  }
+
+  /**
+   * Load the sanitizer rule file
+   */
+  async loadRules() {
+    const content = await fs.readFile(this.options.rulesPath, 'utf8');
+    const rules = yaml.load(content) || {};
+
+    this.rules = {
+      removeExtensions: rules.removeExtensions || [],
+      internalMarkers: rules.internalMarkers || [],
+      rewrites: (rules.rewrites || []).map(rule => ({
+        pattern: new RegExp(rule.pattern, 'g'),
+        replacement: rule.replacement ?? ''
+      })),
+      denylist: (rules.denylist || []).map(pattern => new RegExp(pattern))
+    };
+
+    this.verbose(`Loaded rules from ${path.relative(process.cwd(), this.options.rulesPath)}`);
+  }
+
+  /**
+   * Apply all rules to a specification document
+   */
+  sanitizeSpec(spec) {
+    this.log('🔧 Applying sanitizer rules...');
+
+    const usedComponents = this.findUsedComponents(spec);
+    const sanitized = this.sanitizeNode(spec, []);
+    this.removeEmptyPathItems(sanitized);
+    this.removeUnusedTags(sanitized);
+    this.removeOrphanedComponents(sanitized, usedComponents);
+
+    return sanitized;
+  }
+
+  /**
+   * Recursively copy a node, dropping internal items and denied extensions
+   */
+  sanitizeNode(node, keyPath) {
+    if (Array.isArray(node)) {
+      return node
+        .filter(item => {
+          const internal = this.isInternal(item);
+          if (internal) this.stats.internalRemoved++;
+          return !internal;
+        })
+        .map((item, index) => this.sanitizeNode(item, [...keyPath, index]));
+    }
+
+    if (node === null || typeof node !== 'object') {
+      return this.rewriteValue(node);
+    }
+
+    const result = {};
+
+    for (const [key, child] of Object.entries(node)) {
+      if (this.isRemovedExtension(key)) {
+        this.stats.extensionsRemoved++;
+        this.verbose(`Removed ${key} at /${keyPath.join('/')}`);
+        continue;
+      }
+
+      if (this.isInternal(child)) {
+        this.stats.internalRemoved++;
+        this.verbose(`Removed internal item /${[...keyPath, key].join('/')}`);
+        continue;
+      }
+
+      result[key] = this.sanitizeNode(child, [...keyPath, key]);
+    }
+
+    // Drop removed properties from the `required` list of their schema
+    if (result.properties && Array.isArray(result.required)) {
+      result.required = result.required.filter(name => name in result.properties);
+    }
+
+    return result;
+  }
+
+  /**
+   * Check whether a node is flagged as internal-only
+   */
+  isInternal(node) {
+    if (node === null || typeof node !== 'object' || Array.isArray(node)) {
+      return false;
+    }
+
+    return this.rules.internalMarkers.some(marker => node[marker] === true);
+  }
+
+  /**
+   * Check whether an object key is a vendor extension that must be removed.
+   * Internal markers are always removed, also when set to false.
+   */
+  isRemovedExtension(key) {
+    if (this.rules.internalMarkers.includes(key)) {
+      return true;
+    }
+
+    return this.rules.removeExtensions.some(pattern => {
+      if (pattern.endsWith('*')) {
+        return key.startsWith(pattern.slice(0, -1));
+      }
+      return key === pattern;
+    });
+  }
+
+  /**
+   * Apply rewrite rules to a scalar value
+   */
+  rewriteValue(value) {
+    if (typeof value !== 'string') {
+      return value;
+    }
+
+    let rewritten = value;
+    for (const rule of this.rules.rewrites) {
+      rewritten = rewritten.replace(rule.pattern, rule.replacement);
+    }
+
+    if (rewritten !== value) {
+      this.stats.valuesRewritten++;
+    }
+
+    return rewritten;
+  }
+
+  /**
+   * Remove path items left without any operation
+   */
+  removeEmptyPathItems(spec) {
+    for (const [pathKey, pathItem] of Object.entries(spec.paths || {})) {
+      if (!HTTP_METHODS.some(method => pathItem[method])) {
+        delete spec.paths[pathKey];
+        this.verbose(`Removed empty path ${pathKey}`);
+      }
+    }
+  }
+
+  /**
+   * Remove tag definitions that no remaining operation uses
+   */
+  removeUnusedTags(spec) {
+    if (!Array.isArray(spec.tags)) {
+      return;
+    }
+
+    const usedTags = new Set();
+    for (const pathItem of Object.values(spec.paths || {})) {
+      for (const method of HTTP_METHODS) {
+        (pathItem[method]?.tags || []).forEach(tag => usedTags.add(tag));
+      }
+    }
+
+    spec.tags = spec.tags.filter(tag => usedTags.has(tag.name));
+  }
+
+  /**
+   * Get the component sections present in a spec, with the `$ref` prefix of their entries
+   */
+  getComponentSections(spec) {
+    return COMPONENT_SECTIONS
+      .map(keys => ({ keys, prefix: `#${encodePointer(...keys)}/`, entries: keys.reduce((node, key) => node?.[key], spec) }))
+      .filter(section => section.entries && typeof section.entries === 'object');
+  }
+
+  /**
+   * Find the definitions, parameters and responses that something outside the
+   * component sections references, directly or through other components.
+   * Returns their `$ref`s (`#/definitions/Domain`).
+   */
+  findUsedComponents(spec) {
+    const sections = this.getComponentSections(spec);
+    const resolver = new RefResolver(spec);
+    const used = new Set();
+    const pending = [];
+
+    const collectRefs = (node, skipSections = false) => {
+      if (Array.isArray(node)) {
+        node.forEach(item => collectRefs(item));
+      } else if (node !== null && typeof node === 'object') {
+        if (typeof node.$ref === 'string') {
+          pending.push(node.$ref);
+        }
+        for (const [key, child] of Object.entries(node)) {
+          // The component sections are only walked through the references into them
+          if (skipSections && (key === 'components' || sections.some(section => section.keys[0] === key))) {
+            continue;
+          }
+          collectRefs(child);
+        }
+      }
+    };
+
+    collectRefs(spec, true);
+    // `components` also holds sections that are kept as they are, such as securitySchemes
+    Object.entries(spec.components || {})
+      .filter(([key]) => !sections.some(section => section.keys[1] === key))
+      .forEach(([, child]) => collectRefs(child));
+
+    while (pending.length > 0) {
+      const ref = pending.pop();
+      const section = sections.find(candidate => ref.startsWith(candidate.prefix));
+      const name = section && resolver.decodePointerSegment(ref.slice(section.prefix.length).split('/')[0]);
+      const key = section && `${section.prefix}${name}`;
+
+      if (section && !used.has(key) && name in section.entries) {
+        used.add(key);
+        collectRefs(section.entries[name]);
+      }
+    }
+
+    return used;
+  }
+
+  /**
+   * Remove the definitions, parameters and responses that were referenced in the
+   * source spec but no longer are once internal items are gone. Components the
+   * source publishes without referencing them are kept.
+   */
+  removeOrphanedComponents(spec, usedBefore) {
+    const usedAfter = this.findUsedComponents(spec);
+
+    for (const section of this.getComponentSections(spec)) {
+      for (const name of Object.keys(section.entries)) {
+        const key = `${section.prefix}${name}`;
+        if (usedBefore.has(key) && !usedAfter.has(key)) {
+          delete section.entries[name];
+          this.stats.componentsRemoved++;
+          this.verbose(`Removed orphaned ${section.keys.join('.')} entry ${name}`);
+        }
+      }
+
+      if (Object.keys(section.entries).length === 0) {
+        const parent = section.keys.slice(0, -1).reduce((node, key) => node[key], spec);
+        delete parent[section.keys[section.keys.length - 1]];
+      }
+    }
+  }
+
+  /**
+   * Fail if any `$ref` in the sanitized document no longer resolves, e.g. because
+   * it points at a definition that was marked internal
+   */
+  checkReferences(spec) {
+    const resolver = new RefResolver(spec);
+    const violations = [];
+
+    const visit = (node, keyPath) => {
+      if (Array.isArray(node)) {
+        node.forEach((item, index) => visit(item, [...keyPath, index]));
+      } else if (node !== null && typeof node === 'object') {
+        if (typeof node.$ref === 'string') {
+          try {
+            resolver.getByPointer(node.$ref);
+          } catch (error) {
+            violations.push(`${encodePointer(...keyPath) || '/'}: ${error.message}`);
+          }
+        }
+        Object.entries(node).forEach(([key, child]) => visit(child, [...keyPath, key]));
+      }
+    };
+
+    visit(spec, []);
+
+    if (violations.length > 0) {
+      violations.forEach(violation => console.error(chalk.red(`   • ${violation}`)));
+      throw new Error(`${violations.length} reference(s) no longer resolve after sanitizing; refusing to publish`);
+    }
+
+    this.log('✅ All references resolve');
+  }
+
+  /**
+   * Serialize the sanitized document (comments from the source are not carried over)
+   */
+  serialize(spec) {
+    const relativeSource = path.relative(path.resolve(__dirname, '..'), this.options.sourcePath);
+    const header = [
+      `# Public WP Engine API specification, generated from ${relativeSource}`,
+      '# by scripts/sanitize-spec.js. Do not edit directly.',
+      ''
+    ].join('\n');
+
+    return header + yaml.dump(spec, { lineWidth: -1, noRefs: true });
+  }
+
+  /**
+   * Fail if any denylisted pattern is still present in the output
+   */
+  checkDenylist(content) {
+    const violations = [];
+    const lines = content.split('\n');
+
+    for (const pattern of this.rules.denylist) {
+      lines.forEach((line, index) => {
+        if (pattern.test(line)) {
+          violations.push(`line ${index + 1}: ${pattern} matched "${line.trim()}"`);
+        }
+      });
+    }
+
+    if (violations.length > 0) {
+      violations.forEach(violation => console.error(chalk.red(`   • ${violation}`)));
+      throw new Error(`${violations.length} denylisted pattern(s) survived sanitizing; refusing to publish`);
+    }
+
+    this.log('✅ No denylisted patterns found');
+  }
+
+  /**
+   * Write the public specification
+   */
+  async writeOutput(content) {
+    const relativeOutput = path.relative(process.cwd(), this.options.outputPath);
+
+    if (this.options.dryRun) {
+      this.log(`[DRY RUN] Would write: ${relativeOutput}`);
+      return;
+    }
+
+    await fs.ensureDir(path.dirname(this.options.outputPath));
+    await fs.writeFile(this.options.outputPath, content, 'utf8');
+    this.log(`💾 Wrote public specification to ${relativeOutput}`);
+  }
+
+  /**
+   * Log message if verbose mode is enabled
+   */
+  verbose(message) {
+    if (this.options.verbose) {
+      console.log(chalk.gray(`  ${message}`));
+    }
+  }
+
+  /**
+   * Log message
+   */
+  log(message) {
+    console.log(message);
+  }
+
+  /**
+   * Print sanitizing summary
+   */
+  printSummary() {
+    console.log(chalk.bold.green('\n✨ Public specification sanitized!'));
+    console.log(chalk.gray('📊 Summary:'));
+    console.log(chalk.gray(`   • ${this.stats.extensionsRemoved} vendor extensions removed`));
+    console.log(chalk.gray(`   • ${this.stats.internalRemoved} internal items removed`));
+    console.log(chalk.gray(`   • ${this.stats.componentsRemoved} orphaned definitions removed`));
+    console.log(chalk.gray(`   • ${this.stats.valuesRewritten} values rewritten`));
+  }
+}
+
+/**
+ * CLI interface
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const outputIndex = args.indexOf('--output');
+  const options = {
+    dryRun: args.includes('--dry-run'),
+    verbose: args.includes('--verbose') || args.includes('-v'),
+    ...(outputIndex !== -1 && { outputPath: path.resolve(args[outputIndex + 1]) })
+  };
+
+  const sanitizer = new SpecSanitizer(options);
+  await sanitizer.sanitize();
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main().catch(error => {
+    console.error(chalk.red('❌ Sanitizing failed:'), error.message);
+    process.exit(1);
+  });
+}
+
+export { SpecSanitizer };
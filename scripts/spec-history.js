@@ -0,0 +1,363 @@
+#!/usr/bin/env node
+
+import fs from 'fs-extra';
+import path from 'path';
+import chalk from 'chalk';
+import yaml from 'js-yaml';
+import { execFileSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { SpecBundler } from './utils/spec-bundler.js';
+import { ChangelogStore, hashSpec } from './utils/changelog.js';
+import OpenAPIChangeDetector from './detect-changes.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const GROUP_TITLES = {
+  breaking: 'Breaking changes',
+  added: 'Added',
+  changed: 'Changed',
+  removed: 'Removed'
+};
+
+/**
+ * Bundle a spec as it was at a git revision, reading every file through `git show`
+ */
+class GitSpecBundler extends SpecBundler {
+  constructor(history, commit, rootPath) {
+    super(rootPath);
+    this.history = history;
+    this.commit = commit;
+  }
+
+  /**
+   * Load and cache a YAML or JSON document from the revision
+   */
+  loadDocument(filePath) {
+    if (!this.documents.has(filePath)) {
+      const repoPath = path.relative(this.history.gitRoot, filePath).split(path.sep).join('/');
+      const content = this.history.git('show', `${this.commit}:${repoPath}`);
+      this.documents.set(filePath, yaml.load(content));
+    }
+
+    return this.documents.get(filePath);
+  }
+}
+
+/**
+ * Spec History for WP Engine Customer API Documentation
+ *
+ * Walks the local git history of the public specification, compares every
+ * revision with the one before it using `OpenAPIChangeDetector` and produces a
+ * dated, versioned change history as JSON and Markdown. With `changelog: true`
+ * the history is also written into the API changelog data file, backfilling
+ * the versions recorded before the generator kept a changelog.
+ */
+
+class SpecHistory {
+  constructor(options = {}) {
+    this.options = {
+      specPath: path.resolve(__dirname, '../public/openapi/v1.yaml'),
+      outputDir: path.resolve(process.cwd(), '.temp/spec-history'),
+      changelogPath: path.resolve(__dirname, '../data/api-changelog.json'),
+      changelog: false,
+      verbose: options.verbose || false,
+      ...options
+    };
+
+    this.gitRoot = null;
+  }
+
+  /**
+   * Build the history, write the reports and optionally backfill the changelog
+   */
+  async run() {
+    console.log(chalk.bold.blue('📜 WP Engine API Spec History\n'));
+
+    const history = this.build();
+    const files = await this.write(history);
+
+    if (this.options.changelog) {
+      await this.backfillChangelog(history);
+    }
+
+    this.printSummary(history, files);
+
+    const { latest, ...report } = history;
+    return { ...report, files };
+  }
+
+  /**
+   * Compare consecutive revisions of the spec. The first revision starts the
+   * history; later revisions are listed when their endpoints changed.
+   */
+  build() {
+    this.gitRoot = this.git('rev-parse', '--show-toplevel').trim();
+    const specPath = this.repoPath(this.options.specPath);
+
+    if (this.git('rev-parse', '--is-shallow-repository').trim() === 'true') {
+      console.warn(chalk.yellow('⚠️  Shallow clone: only the fetched part of the history is available (fetch with --unshallow for all of it)'));
+    }
+
+    const revisions = this.listRevisions(specPath);
+    if (revisions.length === 0) {
+      throw new Error(`No committed revisions of ${specPath} found`);
+    }
+
+    this.log(`🔍 Comparing ${revisions.length} revisions of ${specPath}...`);
+
+    const detector = new OpenAPIChangeDetector();
+    const store = new ChangelogStore(this.options.changelogPath);
+    const entries = [];
+    let previous = null;
+
+    for (const revision of revisions) {
+      const spec = this.loadRevision(revision);
+      if (!spec) {
+        continue;
+      }
+
+      const context = {
+        version: spec.info?.version ?? 'unversioned',
+        previousVersion: previous ? previous.spec.info?.version ?? 'unversioned' : null,
+        date: revision.date.slice(0, 10)
+      };
+      const commit = { commit: revision.commit, committedAt: revision.date, subject: revision.subject, path: revision.path };
+
+      if (!previous) {
+        entries.push({ ...context, ...commit, breaking: [], added: [], changed: [], removed: [] });
+      } else {
+        const { hasChanges, summary } = detector.compareSpecs(previous.spec, spec);
+        if (hasChanges) {
+          entries.push({ ...store.createEntry(summary, context), ...commit });
+        } else {
+          this.verbose(`No endpoint changes in ${revision.commit.slice(0, 7)}`);
+        }
+      }
+
+      previous = { revision, spec };
+    }
+
+    return {
+      spec: specPath,
+      generatedAt: new Date().toISOString(),
+      revisions: revisions.length,
+      latest: previous,
+      entries: entries.reverse()
+    };
+  }
+
+  /**
+   * Find the newest committed revision of the spec with a hash (see `hashSpec()`).
+   * Returns `{ revision, spec }`, falling back to the latest committed revision
+   * with `matched: false` when no revision has the hash, or null without any.
+   */
+  findRevision(hash) {
+    this.gitRoot = this.git('rev-parse', '--show-toplevel').trim();
+    const revisions = this.listRevisions(this.repoPath(this.options.specPath)).reverse();
+    let latest = null;
+
+    for (const revision of revisions) {
+      const spec = this.loadRevision(revision);
+      if (!spec) {
+        continue;
+      }
+      if (hashSpec(spec) === hash) {
+        return { revision, spec, matched: true };
+      }
+      latest ??= { revision, spec, matched: false };
+    }
+
+    return latest;
+  }
+
+  /**
+   * List the commits that touched the spec, oldest first, following renames
+   */
+  listRevisions(specPath) {
+    const output = this.git('log', '--follow', '--name-only', '--format=%x1e%H%x09%aI%x09%s', '--', specPath);
+
+    return output.split('\x1e')
+      .filter(chunk => chunk.trim())
+      .map(chunk => {
+        const [header, ...files] = chunk.split('\n').filter(line => line.trim());
+        const [commit, date, subject] = header.split('\t');
+        return { commit, date, subject, path: files[files.length - 1] || specPath };
+      })
+      .reverse();
+  }
+
+  /**
+   * Load the spec of a revision (unreadable revisions are skipped with a warning)
+   */
+  loadRevision(revision) {
+    try {
+      const spec = new GitSpecBundler(this, revision.commit, path.join(this.gitRoot, revision.path)).bundle();
+      if (!spec || typeof spec !== 'object') {
+        throw new Error('empty or invalid specification');
+      }
+      return spec;
+    } catch (error) {
+      console.warn(chalk.yellow(`⚠️  Skipping ${revision.commit.slice(0, 7)}: ${error.message}`));
+      return null;
+    }
+  }
+
+  /**
+   * Write the history as JSON and Markdown
+   */
+  async write(history) {
+    const { latest, ...report } = history;
+    const files = {
+      json: path.join(this.options.outputDir, 'spec-history.json'),
+      markdown: path.join(this.options.outputDir, 'spec-history.md')
+    };
+
+    await fs.outputFile(files.json, JSON.stringify(report, null, 2) + '\n', 'utf8');
+    await fs.outputFile(files.markdown, this.renderMarkdown(history), 'utf8');
+
+    return files;
+  }
+
+  /**
+   * Render the history as Markdown, newest revision first
+   */
+  renderMarkdown(history) {
+    const lines = [
+      `# Change history of ${history.spec}`,
+      '',
+      `Generated ${history.generatedAt} from ${history.revisions} revisions.`,
+      ''
+    ];
+    const endpoint = (item) => `\`${item.method} ${item.path}\`${item.summary ? `: ${item.summary}` : ''}`;
+
+    for (const entry of history.entries) {
+      lines.push(`## ${entry.version} (${entry.date})`, '');
+      lines.push(`Commit \`${entry.commit.slice(0, 7)}\`: ${entry.subject}`, '');
+
+      if (!entry.previousVersion) {
+        lines.push('First revision of the specification.', '');
+        continue;
+      }
+
+      lines.push(`Changes since ${entry.previousVersion}.`, '');
+
+      for (const [group, title] of Object.entries(GROUP_TITLES)) {
+        if (entry[group].length === 0) {
+          continue;
+        }
+
+        lines.push(`### ${title}`, '');
+        entry[group].forEach(item => {
+          if (group === 'breaking') {
+            lines.push(`- ${item.description}`);
+          } else if (group === 'changed') {
+            lines.push(`- ${endpoint(item)} (${item.changes.join(', ')})`);
+          } else {
+            lines.push(`- ${endpoint(item)}`);
+          }
+        });
+        lines.push('');
+      }
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Replace the changelog entries of every version in the history (hand-written
+   * fields such as `notes` are kept) and record the latest revision as the spec
+   * last compared, so the next generator run only records uncommitted spec changes
+   */
+  async backfillChangelog(history) {
+    const changelog = await new ChangelogStore(this.options.changelogPath).load();
+    const backfill = new ChangelogStore(this.options.changelogPath);
+
+    [...history.entries].reverse().forEach(({ commit, committedAt, subject, path: specPath, ...entry }) => {
+      backfill.record(entry);
+    });
+
+    for (const entry of backfill.entries()) {
+      changelog.versions[entry.version] = { ...changelog.versions[entry.version], ...entry };
+    }
+
+    if (history.latest) {
+      changelog.spec = { version: history.latest.spec.info?.version ?? 'unversioned', hash: hashSpec(history.latest.spec) };
+    }
+
+    await changelog.save();
+    this.log(`📰 Backfilled ${backfill.entries().length} versions into ${path.relative(process.cwd(), this.options.changelogPath)}`);
+  }
+
+  /**
+   * Run a git command in the repository and return its output
+   */
+  git(...args) {
+    return execFileSync('git', args, {
+      cwd: this.gitRoot || path.dirname(this.options.specPath),
+      encoding: 'utf8',
+      maxBuffer: 64 * 1024 * 1024,
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+  }
+
+  /**
+   * Path of a file relative to the repository root, as git expects it
+   */
+  repoPath(filePath) {
+    return path.relative(this.gitRoot, path.resolve(filePath)).split(path.sep).join('/');
+  }
+
+  /**
+   * Log message if verbose mode is enabled
+   */
+  verbose(message) {
+    if (this.options.verbose) {
+      console.log(chalk.gray(`  ${message}`));
+    }
+  }
+
+  /**
+   * Log message
+   */
+  log(message) {
+    console.log(message);
+  }
+
+  /**
+   * Print history summary
+   */
+  printSummary(history, files) {
+    console.log(chalk.bold.green('\n✨ Spec history completed!'));
+    console.log(chalk.gray('📊 Summary:'));
+    console.log(chalk.gray(`   • ${history.revisions} revisions compared`));
+    console.log(chalk.gray(`   • ${history.entries.length} revisions with endpoint changes (including the first)`));
+    console.log(chalk.gray(`   • ${path.relative(process.cwd(), files.json)}, ${path.relative(process.cwd(), files.markdown)} written`));
+  }
+}
+
+/**
+ * CLI interface
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const outputIndex = args.indexOf('--output');
+  const options = {
+    changelog: args.includes('--changelog'),
+    verbose: args.includes('--verbose') || args.includes('-v'),
+    ...(outputIndex !== -1 && { outputDir: path.resolve(args[outputIndex + 1]) })
+  };
+
+  const history = new SpecHistory(options);
+  await history.run();
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main().catch(error => {
+    console.error(chalk.red('❌ Spec history failed:'), error.message);
+    process.exit(1);
+  });
+}
+
+export { SpecHistory };
@@ -29,29 +29,28 @@ class NavigationUpdater {
     this.parser = null;
     this.data = null;
     this.configContent = '';
+    this.originalContent = '';
   }
 
   /**
    * Main update process
    */
   async update() {
-    try {
-      console.log(chalk.bold.blue('🧭 WP Engine API Navigation Updater\n'));
-      
-      await this.parseOpenAPI();
-      await this.readConfig();
-      await this.updateSidebar();
-      await this.writeConfig();
-      
-      console.log(chalk.bold.green('\n✨ Navigation update completed!'));
-      
-    } catch (error) {
-      console.error(chalk.red('❌ Navigation update failed:'), error.message);
-      if (this.options.verbose) {
-        console.error(error.stack);
-      }
-      process.exit(1);
-    }
+    console.log(chalk.bold.blue('🧭 WP Engine API Navigation Updater\n'));
+    
+    await this.parseOpenAPI();
+    await this.readConfig();
+    await this.updateSidebar();
+    await this.writeConfig();
+    
+    console.log(chalk.bold.green('\n✨ Navigation update completed!'));
+    
+    return {
+      configPath: this.options.configPath,
+      sections: this.data.stats.totalTags,
+      endpoints: this.data.stats.totalEndpoints,
+      dryRun: this.options.dryRun
+    };
   }
 
   /**
@@ -73,6 +72,7 @@ class NavigationUpdater {
     this.log('📄 Reading Astro configuration...');
     
     this.configContent = await fs.readFile(this.options.configPath, 'utf8');
+    this.originalContent = this.configContent;
     
     this.log('✅ Configuration loaded');
   }
@@ -115,12 +115,18 @@ class NavigationUpdater {
       };
     });
 
+    const modelItems = this.data.models.map(model => ({
+      label: model.name,
+      link: `/api-reference/models/${model.slug}/`
+    }));
+
     return {
       label: 'API Reference',
       items: [
         { label: 'Overview', link: '/api-reference/overview/' },
         { label: 'Authentication', link: '/api-reference/authentication/' },
         { label: 'Pagination', link: '/api-reference/pagination/' },
+        { label: 'Rate Limiting', link: '/api-reference/rate-limiting/' },
         {
           label: 'Endpoints',
           collapsed: false,
@@ -128,7 +134,16 @@ class NavigationUpdater {
             { label: 'All Endpoints', link: '/api-reference/endpoints/' },
             ...endpointsItems
           ]
-        }
+        },
+        {
+          label: 'Models',
+          collapsed: true,
+          items: [
+            { label: 'All Models', link: '/api-reference/models/' },
+            ...modelItems
+          ]
+        },
+        { label: 'Changelog', link: '/api-reference/changelog/' }
       ]
     };
   }
@@ -141,13 +156,14 @@ class NavigationUpdater {
     const sectionString = this.formatSidebarSection(newApiSection);
     
     // Find the sidebar array and replace the API Reference section within it
-    const sidebarMatch = configContent.match(/sidebar:\s*\[([\s\S]*?)\]/);
-    if (!sidebarMatch) {
+    const sidebarRange = this.findSidebarArray(configContent);
+    if (!sidebarRange) {
       this.log('Warning: Could not find sidebar array in config');
       return configContent;
     }
     
-    const sidebarContent = sidebarMatch[1];
+    const sidebarContent = configContent.slice(sidebarRange.start, sidebarRange.end);
+    const indent = sidebarContent.match(/\n([ \t]*)\{/)?.[1] ?? '              ';
     
     // Look for existing API Reference section using a more robust approach
     // Split by sections and find the API Reference one
@@ -172,14 +188,48 @@ class NavigationUpdater {
       sections.splice(-1, 0, sectionString);
     }
     
-    // Reconstruct the sidebar
-    const newSidebarContent = sections.join(',\n');
-    const newConfigContent = configContent.replace(
-      /sidebar:\s*\[[\s\S]*?\]/,
-      `sidebar: [\n${newSidebarContent}\n          ]`
-    );
+    // Reconstruct the sidebar; kept sections lost the indentation of their first line
+    const newSidebarContent = sections
+      .map(section => (section === sectionString ? section : `${indent}${section}`))
+      .join(',\n');
+    const closingIndent = sidebarContent.match(/\n([ \t]*)$/)?.[1] ?? '          ';
+    
+    return `${configContent.slice(0, sidebarRange.start)}\n${newSidebarContent},\n${closingIndent}${configContent.slice(sidebarRange.end)}`;
+  }
+
+  /**
+   * Find the contents of the `sidebar: [...]` array, matching nested brackets
+   * and skipping strings. Returns the `start` and `end` offsets of the contents.
+   */
+  findSidebarArray(configContent) {
+    const match = configContent.match(/sidebar:\s*\[/);
+    if (!match) {
+      return null;
+    }
+    
+    const start = match.index + match[0].length;
+    let depth = 1;
+    let stringChar = '';
     
-    return newConfigContent;
+    for (let i = start; i < configContent.length; i++) {
+      const char = configContent[i];
+      
+      if (stringChar) {
+        if (char === '\\') {
+          i++;
+        } else if (char === stringChar) {
+          stringChar = '';
+        }
+      } else if (char === '"' || char === "'" || char === '`') {
+        stringChar = char;
+      } else if (char === '[') {
+        depth++;
+      } else if (char === ']' && --depth === 0) {
+        return { start, end: i };
+      }
+    }
+    
+    return null;
   }
 
   /**
@@ -251,7 +301,7 @@ class NavigationUpdater {
     const formatItems = (items, currentIndent) => {
       return items.map(item => {
         if (item.items) {
-          const subItems = formatItems(item.items, currentIndent + '    ');
+          const subItems = formatItems(item.items, currentIndent + '        ');
           const subItemsString = subItems.join(',\n');
           return `${currentIndent}{\n${currentIndent}    label: '${this.escapeJavaScriptString(item.label)}',\n${currentIndent}    collapsed: ${item.collapsed || false},\n${currentIndent}    items: [\n${subItemsString}\n${currentIndent}    ]\n${currentIndent}}`;
         } else {
@@ -260,7 +310,7 @@ class NavigationUpdater {
       });
     };
 
-    const itemsArray = formatItems(section.items, indent + '    ');
+    const itemsArray = formatItems(section.items, indent + '        ');
     const itemsString = itemsArray.join(',\n');
     
     return `${indent}{\n${indent}    label: '${this.escapeJavaScriptString(section.label)}',\n${indent}    items: [\n${itemsString}\n${indent}    ]\n${indent}}`;
@@ -270,6 +320,11 @@ class NavigationUpdater {
    * Write the updated configuration
    */
   async writeConfig() {
+    if (this.configContent === this.originalContent) {
+      this.log('✅ Navigation already up to date');
+      return;
+    }
+    
     if (this.options.dryRun) {
       this.log('[DRY RUN] Would write updated configuration');
       if (this.options.verbose) {
@@ -344,7 +399,10 @@ async function main() {
 // Run if called directly
 if (import.meta.url === `file://${process.argv[1]}`) {
   main().catch(error => {
-    console.error(chalk.red('Fatal error:'), error);
+    console.error(chalk.red('❌ Navigation update failed:'), error.message);
+    if (process.argv.includes('--verbose') || process.argv.includes('-v')) {
+      console.error(error.stack);
+    }
     process.exit(1);
   });
 }
@@ -0,0 +1,585 @@
+/**
+ * Breaking Change Rules for WP Engine Customer API Documentation
+ *
+ * Compares every operation that exists in both versions of a specification and
+ * reports changes that can break existing clients:
+ *
+ * - parameters and request body fields that became required
+ * - type and format changes of parameters and schema properties
+ * - enum values removed from request parameters and fields
+ * - fields and status codes removed from responses
+ * - narrowed constraints (lengths, ranges, item counts, patterns)
+ * - changed authentication requirements
+ *
+ * Operations that were renamed or moved (paired by `OperationMatcher`) are
+ * checked against their previous version with `checkRenamedOperation()`.
+ *
+ * Every finding carries the rule as `type`, a `severity` (`high`, `medium` or
+ * `low`), a JSON pointer to the changed location (in the new spec, or the old
+ * one for removals) and the `old` and `new` values. Schema references are
+ * followed, so pointers into shared definitions point at the definition.
+ */
+
+import { RefResolver } from './ref-resolver.js';
+import { SchemaComposer } from './schema-composer.js';
+
+export const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete', 'head', 'options'];
+
+export const RULES = {
+  required_parameter_added: { severity: 'high', summary: 'A parameter became required' },
+  required_field_added: { severity: 'high', summary: 'A request body or body field became required' },
+  parameter_type_changed: { severity: 'high', summary: 'A parameter changed its type or format' },
+  property_type_changed: { severity: 'high', summary: 'A schema property changed its type or format' },
+  enum_value_removed: { severity: 'high', summary: 'An accepted enum value was removed' },
+  response_field_removed: { severity: 'high', summary: 'A response field was removed' },
+  response_status_removed: { severity: 'medium', summary: 'A response status code was removed' },
+  constraint_narrowed: { severity: 'medium', summary: 'A validation constraint was narrowed' },
+  security_changed: { severity: 'high', summary: 'The authentication requirements changed' }
+};
+
+// Findings reported by `OpenAPIChangeDetector` itself rather than the rule engine
+export const DETECTOR_RULES = {
+  removed_endpoint: { severity: 'high', summary: 'An endpoint was removed' },
+  removed_schema: { severity: 'medium', summary: 'A named schema was removed' },
+  operation_moved: { severity: 'high', summary: 'An operation moved to another method or path' }
+};
+
+// How a constraint narrows: `raise` means a higher value accepts less
+const CONSTRAINTS = {
+  minLength: 'raise',
+  maxLength: 'lower',
+  minimum: 'raise',
+  maximum: 'lower',
+  exclusiveMinimum: 'raise',
+  exclusiveMaximum: 'lower',
+  minItems: 'raise',
+  maxItems: 'lower',
+  minProperties: 'raise',
+  maxProperties: 'lower',
+  pattern: 'change',
+  multipleOf: 'change'
+};
+
+/**
+ * Build a JSON pointer (RFC 6901) from unescaped segments
+ */
+export function encodePointer(...segments) {
+  return segments.map(segment => `/${String(segment).replace(/~/g, '~0').replace(/\//g, '~1')}`).join('');
+}
+
+/**
+ * Detect breaking changes between two versions of a specification
+ */
+export class BreakingChangeRules {
+  constructor(oldSpec, newSpec) {
+    this.old = this.createSide(oldSpec);
+    this.new = this.createSide(newSpec);
+    this.findings = [];
+  }
+
+  /**
+   * Resolution helpers for one version of the spec
+   */
+  createSide(spec) {
+    return { spec, resolver: new RefResolver(spec), composer: new SchemaComposer(spec) };
+  }
+
+  /**
+   * Check every operation present in both specs. Returns all findings so far
+   * (those of `checkRenamedOperation()` included).
+   */
+  check() {
+    for (const [path, pathItem] of Object.entries(this.new.spec.paths || {})) {
+      const oldPathItem = this.old.spec.paths?.[path];
+      if (!oldPathItem) {
+        continue;
+      }
+
+      for (const method of HTTP_METHODS) {
+        if (oldPathItem[method] && pathItem[method]) {
+          this.checkOperation(path, method);
+        }
+      }
+    }
+
+    return this.findings;
+  }
+
+  /**
+   * Run the operation rules on one operation
+   */
+  checkOperation(path, method, previous = { path, method, parameterRenames: {} }) {
+    const context = {
+      path,
+      method,
+      oldPath: previous.path,
+      oldMethod: previous.method,
+      parameterRenames: previous.parameterRenames,
+      endpoint: { method: method.toUpperCase(), path },
+      label: `${method.toUpperCase()} ${path}`,
+      oldPointer: encodePointer('paths', previous.path, previous.method),
+      newPointer: encodePointer('paths', path, method)
+    };
+
+    this.checkParameters(context);
+    this.checkRequestBody(context);
+    this.checkResponses(context);
+    this.checkSecurity(context);
+  }
+
+  /**
+   * Run the operation rules on an operation paired with its previous method and
+   * path by `OperationMatcher`. Renamed path parameters are compared by position.
+   */
+  checkRenamedOperation({ oldEndpoint, newEndpoint, parameterRenames = {} }) {
+    this.checkOperation(newEndpoint.path, newEndpoint.method.toLowerCase(), {
+      path: oldEndpoint.path,
+      method: oldEndpoint.method.toLowerCase(),
+      parameterRenames
+    });
+
+    return this.findings;
+  }
+
+  /**
+   * Parameters: newly required, type and format changes, enum removals, narrowed constraints
+   */
+  checkParameters(context) {
+    const oldParameters = this.getParameters(this.old, context);
+    const newParameters = this.getParameters(this.new, context);
+
+    for (const [key, parameter] of newParameters) {
+      const previous = oldParameters.get(key);
+      const pointer = parameter.pointer;
+      const label = `Parameter \`${parameter.value.name}\` (${parameter.value.in}) of ${context.label}`;
+
+      if (parameter.value.required && !previous?.value.required) {
+        this.report('required_parameter_added', {
+          endpoint: context.endpoint,
+          pointer: `${pointer}/required`,
+          old: previous ? false : null,
+          new: true,
+          description: previous ? `${label} is now required` : `${label} was added as a required parameter`
+        });
+      }
+
+      if (!previous) {
+        continue;
+      }
+
+      // Swagger 2 keeps type, format and enum on the parameter, OpenAPI 3 in its schema
+      const oldSchema = previous.value.schema ? { value: previous.value.schema, pointer: `${previous.pointer}/schema` } : previous;
+      const newSchema = parameter.value.schema ? { value: parameter.value.schema, pointer: `${pointer}/schema` } : parameter;
+
+      this.compareSchemas(oldSchema, newSchema, {
+        ...context,
+        direction: 'request',
+        label,
+        typeRule: 'parameter_type_changed',
+        seen: new Set()
+      });
+    }
+  }
+
+  /**
+   * Request body: newly required body and fields, plus the request schema rules
+   */
+  checkRequestBody(context) {
+    const oldBody = this.getRequestBody(this.old, context);
+    const newBody = this.getRequestBody(this.new, context);
+
+    if (!newBody) {
+      return;
+    }
+
+    const label = `Request body of ${context.label}`;
+
+    if (newBody.required && !oldBody?.required) {
+      this.report('required_field_added', {
+        endpoint: context.endpoint,
+        pointer: `${newBody.pointer}/required`,
+        old: oldBody ? false : null,
+        new: true,
+        description: oldBody ? `${label} is now required` : `${label} was added and is required`
+      });
+    }
+
+    if (oldBody?.schema && newBody.schema) {
+      this.compareSchemas(oldBody.schema, newBody.schema, {
+        ...context,
+        direction: 'request',
+        label,
+        typeRule: 'property_type_changed',
+        seen: new Set()
+      });
+    }
+  }
+
+  /**
+   * Responses: removed status codes and removed or retyped response fields
+   */
+  checkResponses(context) {
+    const oldResponses = this.getOperation(this.old, context).responses || {};
+    const newResponses = this.getOperation(this.new, context).responses || {};
+
+    for (const status of Object.keys(oldResponses)) {
+      if (!(status in newResponses)) {
+        this.report('response_status_removed', {
+          endpoint: context.endpoint,
+          severity: /^2/.test(status) ? 'high' : undefined,
+          pointer: `${context.oldPointer}${encodePointer('responses', status)}`,
+          old: status,
+          new: null,
+          description: `${context.label} no longer returns status ${status}`
+        });
+        continue;
+      }
+
+      const oldSchema = this.getResponseSchema(this.old, oldResponses[status], `${context.oldPointer}${encodePointer('responses', status)}`);
+      const newSchema = this.getResponseSchema(this.new, newResponses[status], `${context.newPointer}${encodePointer('responses', status)}`);
+
+      if (oldSchema && newSchema) {
+        this.compareSchemas(oldSchema, newSchema, {
+          ...context,
+          direction: 'response',
+          label: `Response ${status} of ${context.label}`,
+          typeRule: 'property_type_changed',
+          seen: new Set()
+        });
+      }
+    }
+  }
+
+  /**
+   * Authentication: an operation that needs credentials it did not need before,
+   * or no longer accepts a scheme (or scope set) it accepted
+   */
+  checkSecurity(context) {
+    const oldRequirements = this.getSecurity(this.old, context);
+    const newRequirements = this.getSecurity(this.new, context);
+    const describe = (requirements) => (requirements.length > 0 ? requirements.join(' or ') : 'none');
+    const pointer = this.getOperation(this.new, context).security ? `${context.newPointer}/security` : '/security';
+
+    const wasOptional = oldRequirements.length === 0 || oldRequirements.includes('');
+    const isOptional = newRequirements.length === 0 || newRequirements.includes('');
+
+    if (wasOptional && !isOptional) {
+      this.report('security_changed', {
+        endpoint: context.endpoint,
+        pointer,
+        old: describe(oldRequirements),
+        new: describe(newRequirements),
+        description: `${context.label} now requires authentication (${describe(newRequirements)})`
+      });
+      return;
+    }
+
+    const dropped = isOptional ? [] : oldRequirements.filter(requirement => requirement && !newRequirements.includes(requirement));
+    if (dropped.length > 0) {
+      this.report('security_changed', {
+        endpoint: context.endpoint,
+        pointer,
+        old: describe(oldRequirements),
+        new: describe(newRequirements),
+        description: `${context.label} no longer accepts ${dropped.join(' or ')} authentication`
+      });
+    }
+  }
+
+  /**
+   * Compare two schemas (with their pointers) and report breaking differences.
+   * Requests break when they accept less; responses break when they return less.
+   */
+  compareSchemas(oldSchema, newSchema, context) {
+    const oldResolved = this.resolveSchema(this.old, oldSchema);
+    const newResolved = this.resolveSchema(this.new, newSchema);
+    const pairKey = `${oldResolved.pointer}|${newResolved.pointer}`;
+
+    if (context.seen.has(pairKey)) {
+      return;
+    }
+    context.seen.add(pairKey);
+
+    const oldValue = oldResolved.value || {};
+    const newValue = newResolved.value || {};
+    const pointer = newResolved.pointer;
+
+    if (oldValue.type && newValue.type && JSON.stringify(oldValue.type) !== JSON.stringify(newValue.type)) {
+      this.report(context.typeRule, {
+        endpoint: context.endpoint,
+        pointer: `${pointer}/type`,
+        old: oldValue.type,
+        new: newValue.type,
+        description: `${context.label}: type changed from ${oldValue.type} to ${newValue.type}`
+      });
+      return;
+    }
+
+    if (oldValue.format !== newValue.format && (oldValue.format || newValue.format)) {
+      this.report(context.typeRule, {
+        endpoint: context.endpoint,
+        severity: 'medium',
+        pointer: `${pointer}/format`,
+        old: oldValue.format ?? null,
+        new: newValue.format ?? null,
+        description: `${context.label}: format changed from ${oldValue.format || 'none'} to ${newValue.format || 'none'}`
+      });
+    }
+
+    if (context.direction === 'request') {
+      this.compareRequestKeywords(oldValue, newValue, pointer, context);
+    }
+
+    this.compareProperties(oldResolved, newResolved, context);
+
+    if (oldValue.items && newValue.items) {
+      this.compareSchemas(
+        { value: oldValue.items, pointer: `${oldResolved.pointer}/items` },
+        { value: newValue.items, pointer: `${newResolved.pointer}/items` },
+        { ...context, label: `${context.label} (items)` }
+      );
+    }
+  }
+
+  /**
+   * Enum removals and narrowed constraints of values a client sends
+   */
+  compareRequestKeywords(oldValue, newValue, pointer, context) {
+    if (Array.isArray(oldValue.enum)) {
+      const removed = Array.isArray(newValue.enum)
+        ? oldValue.enum.filter(value => !newValue.enum.some(candidate => JSON.stringify(candidate) === JSON.stringify(value)))
+        : [];
+
+      if (removed.length > 0) {
+        this.report('enum_value_removed', {
+          endpoint: context.endpoint,
+          pointer: `${pointer}/enum`,
+          old: oldValue.enum,
+          new: newValue.enum,
+          description: `${context.label}: no longer accepts ${removed.map(value => `\`${value}\``).join(', ')}`
+        });
+      }
+    } else if (Array.isArray(newValue.enum)) {
+      this.report('constraint_narrowed', {
+        endpoint: context.endpoint,
+        pointer: `${pointer}/enum`,
+        old: null,
+        new: newValue.enum,
+        description: `${context.label}: now only accepts ${newValue.enum.map(value => `\`${value}\``).join(', ')}`
+      });
+    }
+
+    for (const [keyword, narrowing] of Object.entries(CONSTRAINTS)) {
+      const [before, after] = [oldValue[keyword], newValue[keyword]];
+      if (after === undefined || after === before || typeof after === 'boolean') {
+        continue;
+      }
+
+      const narrowed = before === undefined
+        || narrowing === 'change'
+        || (narrowing === 'raise' && after > before)
+        || (narrowing === 'lower' && after < before);
+
+      if (narrowed) {
+        this.report('constraint_narrowed', {
+          endpoint: context.endpoint,
+          pointer: `${pointer}/${keyword}`,
+          old: before ?? null,
+          new: after,
+          description: `${context.label}: ${keyword} ${before === undefined ? 'added' : `changed from ${before}`} ${before === undefined ? `(${after})` : `to ${after}`}`
+        });
+      }
+    }
+  }
+
+  /**
+   * Object properties: newly required request fields, removed response fields,
+   * and the rules applied recursively to properties present in both
+   */
+  compareProperties(oldResolved, newResolved, context) {
+    const oldProperties = oldResolved.value?.properties || {};
+    const newProperties = newResolved.value?.properties || {};
+    // Parameters carry a boolean `required`; only schemas list required fields
+    const requiredFields = (value) => (Array.isArray(value?.required) ? value.required : []);
+    const oldRequired = requiredFields(oldResolved.value);
+    const newRequired = requiredFields(newResolved.value);
+
+    if (context.direction === 'request') {
+      for (const name of newRequired) {
+        if (!oldRequired.includes(name) && name in newProperties) {
+          this.report('required_field_added', {
+            endpoint: context.endpoint,
+            pointer: `${newResolved.pointer}/required`,
+            old: oldRequired,
+            new: newRequired,
+            description: `${context.label}: field \`${name}\` is now required`
+          });
+        }
+      }
+    } else {
+      for (const name of Object.keys(oldProperties)) {
+        if (!(name in newProperties)) {
+          this.report('response_field_removed', {
+            endpoint: context.endpoint,
+            pointer: `${oldResolved.pointer}${encodePointer('properties', name)}`,
+            old: name,
+            new: null,
+            description: `${context.label}: field \`${name}\` was removed`
+          });
+        }
+      }
+    }
+
+    for (const [name, schema] of Object.entries(newProperties)) {
+      if (!(name in oldProperties)) {
+        continue;
+      }
+
+      this.compareSchemas(
+        { value: oldProperties[name], pointer: `${oldResolved.pointer}${encodePointer('properties', name)}` },
+        { value: schema, pointer: `${newResolved.pointer}${encodePointer('properties', name)}` },
+        { ...context, label: `${context.label}, field \`${name}\`` }
+      );
+    }
+  }
+
+  /**
+   * Follow a schema's reference (the pointer moves to the referenced definition)
+   * and merge `allOf` compositions
+   */
+  resolveSchema(side, { value, pointer }) {
+    let resolvedPointer = pointer;
+    if (side.resolver.isRef(value) && value.$ref.startsWith('#')) {
+      resolvedPointer = value.$ref.slice(1);
+    }
+
+    try {
+      return { value: side.composer.mergeAllOf(side.resolver.resolve(value)), pointer: resolvedPointer };
+    } catch {
+      return { value: null, pointer: resolvedPointer };
+    }
+  }
+
+  /**
+   * Get an operation of one spec version
+   */
+  getOperation(side, context) {
+    const { path, method } = this.locate(side, context);
+    return side.spec.paths?.[path]?.[method] || {};
+  }
+
+  /**
+   * Path and method of the operation in one version of the spec
+   */
+  locate(side, context) {
+    return side === this.old
+      ? { path: context.oldPath ?? context.path, method: context.oldMethod ?? context.method }
+      : { path: context.path, method: context.method };
+  }
+
+  /**
+   * Get the non-body parameters of an operation (path-level ones included),
+   * keyed by location and name, with their pointers
+   */
+  getParameters(side, context) {
+    const parameters = new Map();
+    const { path, method } = this.locate(side, context);
+    const pathItem = side.spec.paths?.[path] || {};
+    const sources = [
+      [pathItem.parameters || [], encodePointer('paths', path, 'parameters')],
+      [this.getOperation(side, context).parameters || [], encodePointer('paths', path, method, 'parameters')]
+    ];
+    // Old path parameters are keyed by their new name when the operation renamed them
+    const renames = side === this.old ? context.parameterRenames || {} : {};
+
+    for (const [list, basePointer] of sources) {
+      list.forEach((parameter, index) => {
+        const pointer = side.resolver.isRef(parameter) ? parameter.$ref.slice(1) : `${basePointer}/${index}`;
+        const value = side.resolver.resolve(parameter);
+        if (value && value.in !== 'body') {
+          const name = value.in === 'path' ? renames[value.name] ?? value.name : value.name;
+          parameters.set(`${value.in}:${name}`, { value, pointer });
+        }
+      });
+    }
+
+    return parameters;
+  }
+
+  /**
+   * Get the request body of an operation: a Swagger 2 `in: body` parameter or
+   * the JSON content of an OpenAPI 3 `requestBody`
+   */
+  getRequestBody(side, context) {
+    const operation = this.getOperation(side, context);
+    const index = (operation.parameters || []).findIndex(parameter => side.resolver.resolve(parameter)?.in === 'body');
+
+    if (index !== -1) {
+      const parameter = side.resolver.resolve(operation.parameters[index]);
+      const pointer = `${side === this.old ? context.oldPointer : context.newPointer}${encodePointer('parameters', index)}`;
+      return {
+        required: Boolean(parameter.required),
+        pointer,
+        schema: parameter.schema ? { value: parameter.schema, pointer: `${pointer}/schema` } : null
+      };
+    }
+
+    if (!operation.requestBody) {
+      return null;
+    }
+
+    const body = side.resolver.resolve(operation.requestBody);
+    const pointer = `${side === this.old ? context.oldPointer : context.newPointer}/requestBody`;
+    const mediaType = Object.keys(body.content || {}).find(type => /json/.test(type));
+
+    return {
+      required: Boolean(body.required),
+      pointer,
+      schema: mediaType ? { value: body.content[mediaType].schema, pointer: `${pointer}${encodePointer('content', mediaType, 'schema')}` } : null
+    };
+  }
+
+  /**
+   * Get the schema of a response: Swagger 2 `schema` or OpenAPI 3 JSON content
+   */
+  getResponseSchema(side, response, pointer) {
+    const resolved = side.resolver.resolve(response) || {};
+
+    if (resolved.schema) {
+      return { value: resolved.schema, pointer: `${pointer}/schema` };
+    }
+
+    const mediaType = Object.keys(resolved.content || {}).find(type => /json/.test(type));
+    return mediaType && resolved.content[mediaType].schema
+      ? { value: resolved.content[mediaType].schema, pointer: `${pointer}${encodePointer('content', mediaType, 'schema')}` }
+      : null;
+  }
+
+  /**
+   * Get the accepted security requirements of an operation as sorted strings
+   * (`basicAuth`, `oauth[read write]`); an empty string means anonymous access
+   */
+  getSecurity(side, context) {
+    const requirements = this.getOperation(side, context).security ?? side.spec.security ?? [];
+
+    return requirements
+      .map(requirement => Object.entries(requirement)
+        .map(([name, scopes]) => (scopes?.length ? `${name}[${[...scopes].sort().join(' ')}]` : name))
+        .sort()
+        .join(' + '))
+      .sort();
+  }
+
+  /**
+   * Record a finding (severity defaults to the rule's)
+   */
+  report(type, { severity, ...finding }) {
+    this.findings.push({
+      type,
+      severity: severity || RULES[type].severity,
+      ...finding
+    });
+  }
+}
+
+export default BreakingChangeRules;
@@ -0,0 +1,163 @@
+/**
+ * API Changelog for WP Engine Customer API Documentation
+ *
+ * Keeps a persistent record of how the public spec changed, keyed by spec
+ * version. The data file also records the version and hash of the spec last
+ * compared; when the spec the generator renders has a different hash, it reads
+ * the recorded spec back from git and records the difference (as computed by
+ * `OpenAPIChangeDetector`) under the new version. Entries are rendered as the
+ * Changelog section of the API reference and as an Atom feed.
+ *
+ * Entries may be edited by hand: extra fields such as `notes` are kept when a
+ * version is recorded again.
+ */
+
+import fs from 'fs-extra';
+import crypto from 'crypto';
+
+const CHANGELOG_VERSION = 1;
+const GROUPS = ['breaking', 'added', 'changed', 'removed'];
+
+/**
+ * Compare two version strings numerically part by part (`1.10.0` > `1.9.2`)
+ */
+export function compareVersions(a, b) {
+  const partsA = String(a).split(/[.-]/);
+  const partsB = String(b).split(/[.-]/);
+
+  for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+    const [partA = '0', partB = '0'] = [partsA[i], partsB[i]];
+    const difference = /^\d+$/.test(partA) && /^\d+$/.test(partB)
+      ? Number(partA) - Number(partB)
+      : partA.localeCompare(partB);
+
+    if (difference !== 0) {
+      return Math.sign(difference);
+    }
+  }
+
+  return 0;
+}
+
+/**
+ * Hash a bundled spec, to recognise it again later
+ */
+export function hashSpec(spec) {
+  return crypto.createHash('sha256').update(JSON.stringify(spec)).digest('hex').slice(0, 16);
+}
+
+/**
+ * Turn a spec version into a page slug (`1.6.15` -> `v1-6-15`)
+ */
+export function versionSlug(version) {
+  return `v${String(version).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '')}`;
+}
+
+/**
+ * Read, update and write the changelog data file
+ */
+export class ChangelogStore {
+  constructor(dataPath) {
+    this.dataPath = dataPath;
+    this.versions = {};
+    // `{ version, hash }` of the spec the changelog was last compared with
+    this.spec = null;
+  }
+
+  /**
+   * Load the recorded versions (a missing file starts an empty changelog)
+   */
+  async load() {
+    this.versions = {};
+    this.spec = null;
+
+    if (!await fs.pathExists(this.dataPath)) {
+      return this;
+    }
+
+    const data = await fs.readJson(this.dataPath);
+    if (data.version !== CHANGELOG_VERSION) {
+      throw new Error(`Unsupported changelog format version ${data.version} in ${this.dataPath}`);
+    }
+
+    this.versions = data.versions || {};
+    this.spec = data.spec || null;
+    return this;
+  }
+
+  /**
+   * Build a changelog entry from an `OpenAPIChangeDetector` summary
+   */
+  createEntry(summary, { version, previousVersion, date }) {
+    const { endpoints, breaking, suppressed = [] } = summary.details;
+    const endpoint = ({ method, path, operationId, summary: title }) => ({ method, path, operationId, summary: title });
+
+    return {
+      version,
+      previousVersion,
+      date,
+      // Suppressed breaking changes were accepted, not undone: readers still need them
+      breaking: [...breaking, ...suppressed].map(change => ({
+        type: change.type,
+        description: change.description,
+        ...(change.endpoint && { method: change.endpoint.method, path: change.endpoint.path })
+      })),
+      added: endpoints.added.map(endpoint),
+      changed: [
+        ...endpoints.modified.map(change => ({ ...endpoint(change), changes: change.changes })),
+        ...(endpoints.renamed || []).map(change => ({
+          ...endpoint(change),
+          changes: change.changes,
+          previous: { kind: change.kind, method: change.previous.method, path: change.previous.path }
+        }))
+      ],
+      removed: endpoints.removed.map(endpoint)
+    };
+  }
+
+  /**
+   * Record an entry under its version. Recording a version again (the spec
+   * changed without a version bump) merges the groups, newer items winning.
+   */
+  record(entry) {
+    const existing = this.versions[entry.version];
+    if (!existing) {
+      this.versions[entry.version] = entry;
+      return entry;
+    }
+
+    const merged = { ...existing, date: entry.date };
+    for (const group of GROUPS) {
+      const items = new Map();
+      [...(existing[group] || []), ...entry[group]].forEach(item => {
+        items.set(`${item.type || ''} ${item.method} ${item.path} ${item.description || ''}`, item);
+      });
+      merged[group] = [...items.values()];
+    }
+
+    this.versions[entry.version] = merged;
+    return merged;
+  }
+
+  /**
+   * Get all entries, newest version first
+   */
+  entries() {
+    return Object.values(this.versions).sort((a, b) => compareVersions(b.version, a.version) || b.date.localeCompare(a.date));
+  }
+
+  /**
+   * Write the data file
+   */
+  async save() {
+    const versions = Object.fromEntries(this.entries().map(entry => [entry.version, entry]));
+
+    await fs.outputFile(
+      this.dataPath,
+      JSON.stringify({ version: CHANGELOG_VERSION, spec: this.spec, versions }, null, 2) + '\n',
+      'utf8'
+    );
+  }
+}
+
+export default ChangelogStore;
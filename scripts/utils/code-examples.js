@@ -7,29 +7,39 @@
 
 import { fileURLToPath } from 'url';
 import path from 'path';
+import { SpecAdapter } from './spec-adapter.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+/**
+ * Languages examples can be generated for, in tab order
+ */
+export const LANGUAGES = ['curl', 'php', 'python', 'nodejs'];
+
 /**
  * Generate code examples for an endpoint
  */
 export class CodeExampleGenerator {
   constructor(spec) {
     this.spec = spec;
-    this.baseUrl = `${spec.schemes[0]}://${spec.host}${spec.basePath}`;
+    this.baseUrl = spec.baseUrl || new SpecAdapter(spec).getBaseUrl();
   }
 
   /**
-   * Generate all code examples for an endpoint
+   * Generate code examples for an endpoint in the given languages
    */
-  generateExamples(endpoint) {
-    return {
-      curl: this.escapeMdxBraces(this.generateCurl(endpoint)),
-      php: this.escapeMdxBraces(this.generatePhp(endpoint)),
-      python: this.escapeMdxBraces(this.generatePython(endpoint)),
-      nodejs: this.escapeMdxBraces(this.generateNodejs(endpoint))
+  generateExamples(endpoint, languages = LANGUAGES) {
+    const generators = {
+      curl: () => this.generateCurl(endpoint),
+      php: () => this.generatePhp(endpoint),
+      python: () => this.generatePython(endpoint),
+      nodejs: () => this.generateNodejs(endpoint)
     };
+    
+    return Object.fromEntries(
+      languages.map(language => [language, this.escapeMdxBraces(generators[language]())])
+    );
   }
 
   /**
@@ -0,0 +1,272 @@
+/**
+ * Content Merger for WP Engine Customer API Documentation
+ *
+ * Regenerates the auto-generated parts of an existing MDX page while keeping
+ * hand-written `CUSTOM-START` / `CUSTOM-END` blocks intact.
+ *
+ * - Every written page carries a content hash of its auto-generated regions, so
+ *   edits made outside custom blocks are detected and reported as conflicts
+ *   instead of being overwritten.
+ * - Custom blocks whose id still exists in the template are moved to the
+ *   template's new position; blocks the template does not know about stay with
+ *   the section (heading) they followed in the previous version.
+ * - A page whose only change is its `Last updated` timestamp keeps the previous
+ *   timestamp and is left unchanged.
+ */
+
+import crypto from 'crypto';
+
+const CUSTOM_BLOCK_REGEX = /\{\/\* CUSTOM-START: (.+?) \*\/\}\n?([\s\S]*?)\{\/\* CUSTOM-END: \1 \*\/\}/g;
+const HASH_LINE_REGEX = /^\{\/\* Content hash: ([a-f0-9]+) \*\/\}\n/m;
+const GENERATOR_LINE_REGEX = /^\{\/\* Generator: .* \*\/\}$/m;
+const TIMESTAMP_LINE_REGEX = /^\{\/\* Last updated: (.+?) \*\/\}$/m;
+const HEADING_REGEX = /^(#{1,6})\s+(.+?)\s*#*\s*$/;
+
+const GENERATED_MARKER = 'AUTO-GENERATED: Do not edit directly';
+const HYBRID_MARKER = 'HYBRID: Contains both auto-generated and custom content';
+
+/**
+ * Merge freshly generated pages with their previous version on disk
+ */
+export class ContentMerger {
+  /**
+   * Merge generated content into the existing file content.
+   *
+   * Returns `{ status, content, conflicts, preservedBlocks }` where status is one of
+   * `created`, `updated`, `unchanged` or `conflict`. On `conflict` the existing
+   * content is returned untouched and must not be overwritten.
+   */
+  merge(existing, generated, options = {}) {
+    const conflicts = [];
+
+    if (existing === null || existing === undefined) {
+      return { status: 'created', content: this.stamp(generated), conflicts, preservedBlocks: 0 };
+    }
+
+    existing = this.normalizeLineEndings(existing);
+    generated = this.normalizeLineEndings(generated);
+
+    if (!options.force) {
+      const integrity = this.checkIntegrity(existing);
+
+      if (integrity === 'modified') {
+        conflicts.push({
+          type: 'hand-edited',
+          message: 'Auto-generated content was edited by hand; move the edits into a CUSTOM block or regenerate with --force'
+        });
+      } else if (integrity === 'unmanaged') {
+        conflicts.push({
+          type: 'unmanaged',
+          message: 'File exists but was not created by the generator; remove it or regenerate with --force'
+        });
+      }
+
+      if (conflicts.length > 0) {
+        return { status: 'conflict', content: existing, conflicts, preservedBlocks: 0 };
+      }
+    }
+
+    const templateBlocks = new Map(this.extractCustomBlocks(generated).map(block => [block.id, block]));
+    const customBlocks = this.extractCustomBlocks(existing)
+      .filter(block => !this.isDefaultBlock(block, templateBlocks.get(block.id)));
+
+    let merged = generated;
+    for (const block of customBlocks) {
+      merged = templateBlocks.has(block.id)
+        ? this.replaceBlockBody(merged, block)
+        : this.insertAnchoredBlock(merged, block, conflicts);
+    }
+
+    if (customBlocks.length > 0) {
+      merged = merged.replace(GENERATED_MARKER, HYBRID_MARKER);
+    }
+
+    merged = this.stamp(this.carryTimestamp(existing, merged));
+
+    return {
+      status: merged === existing ? 'unchanged' : 'updated',
+      content: merged,
+      conflicts,
+      preservedBlocks: customBlocks.length
+    };
+  }
+
+  /**
+   * Put the previous `Last updated` timestamp back into a re-rendered page when
+   * nothing else changed, so re-rendering an identical page does not rewrite it
+   */
+  carryTimestamp(existing, merged) {
+    const previous = existing.match(TIMESTAMP_LINE_REGEX)?.[1];
+    const current = merged.match(TIMESTAMP_LINE_REGEX)?.[1];
+
+    if (!previous || !current || previous === current) {
+      return merged;
+    }
+
+    // The timestamp may also be shown in the page body (e.g. "Last Updated" on index pages)
+    const carried = merged.split(current).join(previous);
+    return this.stamp(carried) === existing ? carried : merged;
+  }
+
+  /**
+   * Check whether the auto-generated regions of a file still match their stored hash.
+   * Returns `intact`, `modified`, `legacy` (generated before hashes were recorded)
+   * or `unmanaged` (no generator markers at all).
+   */
+  checkIntegrity(content) {
+    content = this.normalizeLineEndings(content);
+    const match = content.match(HASH_LINE_REGEX);
+
+    if (!match) {
+      return content.includes(GENERATED_MARKER) || content.includes(HYBRID_MARKER)
+        ? 'legacy'
+        : 'unmanaged';
+    }
+
+    return match[1] === this.hash(content) ? 'intact' : 'modified';
+  }
+
+  /**
+   * Check whether a page holds preserved custom content
+   */
+  hasCustomContent(content) {
+    return content.includes(HYBRID_MARKER);
+  }
+
+  /**
+   * Hash the auto-generated regions of a page. Custom blocks (so that adding one
+   * anywhere is not an edit), the hash line and blank-line runs are excluded.
+   */
+  hash(content) {
+    const autoGenerated = this.normalizeLineEndings(content)
+      .replace(HASH_LINE_REGEX, '')
+      .replace(CUSTOM_BLOCK_REGEX, '')
+      .replace(HYBRID_MARKER, GENERATED_MARKER)
+      .replace(/[ \t]+$/gm, '')
+      .replace(/\n{3,}/g, '\n\n');
+
+    return crypto.createHash('sha256').update(autoGenerated).digest('hex').slice(0, 16);
+  }
+
+  /**
+   * Record the content hash right after the generator comment (or at the end of the front matter)
+   */
+  stamp(content) {
+    const unstamped = content.replace(HASH_LINE_REGEX, '');
+    const hashLine = `{/* Content hash: ${this.hash(unstamped)} */}`;
+
+    if (GENERATOR_LINE_REGEX.test(unstamped)) {
+      return unstamped.replace(GENERATOR_LINE_REGEX, line => `${line}\n${hashLine}`);
+    }
+
+    const frontmatterEnd = unstamped.startsWith('---') ? unstamped.indexOf('\n---', 3) : -1;
+    if (frontmatterEnd !== -1) {
+      const insertAt = unstamped.indexOf('\n', frontmatterEnd + 4) + 1 || unstamped.length;
+      return `${unstamped.slice(0, insertAt)}${hashLine}\n${unstamped.slice(insertAt)}`;
+    }
+
+    return `${hashLine}\n${unstamped}`;
+  }
+
+  /**
+   * Extract custom blocks together with the heading they follow
+   */
+  extractCustomBlocks(content) {
+    const blocks = [];
+
+    for (const match of content.matchAll(CUSTOM_BLOCK_REGEX)) {
+      const before = content.slice(0, match.index);
+      const headings = this.findHeadings(before.split('\n'));
+
+      blocks.push({
+        id: match[1],
+        body: match[2],
+        raw: match[0],
+        anchor: headings.length > 0 ? headings[headings.length - 1] : null
+      });
+    }
+
+    return blocks;
+  }
+
+  /**
+   * Check whether a block still holds the template's placeholder content
+   */
+  isDefaultBlock(block, templateBlock) {
+    return Boolean(templateBlock) && block.body.trim() === templateBlock.body.trim();
+  }
+
+  /**
+   * Put a preserved block body into the block with the same id in the new content
+   */
+  replaceBlockBody(content, block) {
+    return content.replace(CUSTOM_BLOCK_REGEX, (match, id) => (id === block.id ? block.raw : match));
+  }
+
+  /**
+   * Insert a block the template does not define at the end of the section it was anchored to
+   */
+  insertAnchoredBlock(content, block, conflicts) {
+    const lines = content.split('\n');
+    const headings = this.findHeadings(lines);
+    const anchor = block.anchor
+      ? headings.find(heading => heading.level === block.anchor.level && heading.text === block.anchor.text)
+      : null;
+
+    if (block.anchor && !anchor) {
+      conflicts.push({
+        type: 'orphaned-block',
+        block: block.id,
+        message: `Section "${block.anchor.text}" no longer exists; custom block "${block.id}" was moved to the end of the page`
+      });
+      return `${content.replace(/\n*$/, '')}\n\n${block.raw}\n`;
+    }
+
+    // Insert before the next heading of the same or a higher level (or before the first heading)
+    let insertAt = lines.length;
+    const next = anchor
+      ? headings.find(heading => heading.line > anchor.line && heading.level <= anchor.level)
+      : headings[0];
+    if (next) {
+      insertAt = next.line;
+    }
+
+    const beforeLines = lines.slice(0, insertAt);
+    while (beforeLines.length > 0 && beforeLines[beforeLines.length - 1].trim() === '') {
+      beforeLines.pop();
+    }
+
+    return [...beforeLines, '', block.raw, '', ...lines.slice(insertAt)].join('\n');
+  }
+
+  /**
+   * Find Markdown headings outside fenced code blocks
+   */
+  findHeadings(lines) {
+    const headings = [];
+    let inFence = false;
+
+    lines.forEach((line, index) => {
+      if (line.trim().startsWith('```')) {
+        inFence = !inFence;
+        return;
+      }
+
+      const match = !inFence && line.match(HEADING_REGEX);
+      if (match) {
+        headings.push({ level: match[1].length, text: match[2], line: index });
+      }
+    });
+
+    return headings;
+  }
+
+  /**
+   * Normalize Windows line endings so hashes are stable across platforms
+   */
+  normalizeLineEndings(content) {
+    return content.replace(/\r\n/g, '\n');
+  }
+}
+
+export default ContentMerger;
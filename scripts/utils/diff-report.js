@@ -0,0 +1,643 @@
+/**
+ * Diff Reports for WP Engine Customer API Documentation
+ *
+ * Renders an `OpenAPIChangeDetector` summary for people and tools:
+ *
+ * - Markdown for pull request bodies, with a collapsible section per tag
+ * - a standalone HTML page
+ * - structured JSON, grouped by tag
+ * - SARIF 2.1.0, so breaking changes show up in code scanning
+ *
+ * Suppressed (accepted) breaking changes are listed separately, and as
+ * suppressed SARIF results, together with expired and unused suppressions.
+ *
+ * The specs themselves are only used to look up the tags of each operation and,
+ * for SARIF, the line a finding's JSON pointer refers to.
+ */
+
+import path from 'path';
+import { RULES, DETECTOR_RULES, HTTP_METHODS } from './breaking-changes.js';
+
+export const REPORT_FORMATS = {
+  markdown: 'change-report.md',
+  html: 'change-report.html',
+  json: 'change-report.json',
+  sarif: 'change-report.sarif'
+};
+
+const SARIF_LEVELS = { high: 'error', medium: 'warning', low: 'note' };
+const UNTAGGED = 'Other';
+const SCHEMAS = 'Schemas';
+
+/**
+ * Escape text for HTML element content and attribute values
+ */
+export function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Find the line (1-based) a JSON pointer refers to in a YAML or JSON document,
+ * following keys and sequence items by indentation. Returns the deepest line
+ * found, or null when not even the first segment is found.
+ */
+export function locatePointer(text, pointer) {
+  const lines = text.split('\n');
+  const segments = pointer.split('/').slice(1).map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+  const escape = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  let start = 0;
+  let parentIndent = -1;
+  let found = null;
+
+  for (const segment of segments) {
+    const key = new RegExp(`^["']?${escape(segment)}["']?\\s*:`);
+    const index = /^\d+$/.test(segment) ? Number(segment) : null;
+    let childIndent = null;
+    let sequence = null;
+    let items = 0;
+    let match = null;
+
+    for (let i = start; i < lines.length && !match; i++) {
+      const content = lines[i].trimStart();
+      if (!content || content.startsWith('#')) {
+        continue;
+      }
+
+      const indent = lines[i].length - content.length;
+      if (i > start && indent <= parentIndent) {
+        break;
+      }
+
+      // Keys of a sequence item start after its `- `
+      const item = content.startsWith('- ');
+      const keyIndent = item ? indent + 2 : indent;
+      // Numeric segments are keys in mappings (response codes) and indexes in sequences
+      sequence ??= index !== null && item;
+      childIndent ??= sequence ? indent : keyIndent;
+
+      if (sequence) {
+        if (item && indent === childIndent && items++ === index) {
+          match = { line: i, start: i, indent };
+        }
+      } else if (keyIndent === childIndent && key.test(item ? content.slice(2) : content)) {
+        match = { line: i, start: i + 1, indent: keyIndent };
+      }
+    }
+
+    if (!match) {
+      break;
+    }
+
+    found = match.line + 1;
+    start = match.start;
+    parentIndent = match.indent;
+  }
+
+  return found;
+}
+
+/**
+ * Render a change detection summary in several formats
+ */
+export class DiffReport {
+  constructor(summary, options = {}) {
+    this.summary = summary;
+    this.options = {
+      oldSpec: null,
+      newSpec: null,
+      oldSpecPath: null,
+      newSpecPath: null,
+      // Raw text of the new spec, used to locate SARIF results
+      newSpecText: null,
+      // Directory the SARIF artifact locations are relative to
+      rootDir: process.cwd(),
+      title: 'API changes',
+      ...options
+    };
+
+    this.tagIndex = this.buildTagIndex();
+  }
+
+  /**
+   * Render one of the `REPORT_FORMATS`
+   */
+  render(format) {
+    switch (format) {
+      case 'markdown':
+        return this.renderMarkdown();
+      case 'html':
+        return this.renderHtml();
+      case 'json':
+        return JSON.stringify(this.toJSON(), null, 2) + '\n';
+      case 'sarif':
+        return JSON.stringify(this.renderSarif(), null, 2) + '\n';
+      default:
+        throw new Error(`Unknown report format "${format}" (expected one of: ${Object.keys(REPORT_FORMATS).join(', ')})`);
+    }
+  }
+
+  /**
+   * Map `METHOD path` to the operation's tags, from both specs
+   */
+  buildTagIndex() {
+    const index = new Map();
+
+    for (const spec of [this.options.oldSpec, this.options.newSpec]) {
+      for (const [pathName, pathItem] of Object.entries(spec?.paths || {})) {
+        for (const [method, operation] of Object.entries(pathItem || {})) {
+          if (HTTP_METHODS.includes(method) && operation?.tags?.length) {
+            index.set(`${method.toUpperCase()} ${pathName}`, operation.tags);
+          }
+        }
+      }
+    }
+
+    return index;
+  }
+
+  /**
+   * Tags of an endpoint, or the fallback group for untagged operations
+   */
+  tagsOf(endpoint) {
+    return this.tagIndex.get(`${endpoint.method} ${endpoint.path}`) || [UNTAGGED];
+  }
+
+  /**
+   * Group endpoint changes and breaking changes by tag (in tag order, then
+   * `Other`), with schema changes in their own group at the end
+   */
+  groupByTag() {
+    const { endpoints, schemas, breaking } = this.summary.details;
+    const groups = new Map();
+    const group = (name) => {
+      if (!groups.has(name)) {
+        groups.set(name, { tag: name, breaking: [], added: [], modified: [], removed: [], renamed: [], schemas: null });
+      }
+      return groups.get(name);
+    };
+
+    for (const kind of ['added', 'modified', 'removed', 'renamed']) {
+      for (const endpoint of endpoints[kind] || []) {
+        this.tagsOf(endpoint).forEach(tag => group(tag)[kind].push(endpoint));
+      }
+    }
+
+    for (const finding of breaking) {
+      if (finding.endpoint) {
+        this.tagsOf(finding.endpoint).forEach(tag => group(tag).breaking.push(finding));
+      } else {
+        group(SCHEMAS).breaking.push(finding);
+      }
+    }
+
+    if (schemas.added.length || schemas.removed.length || schemas.modified.length) {
+      group(SCHEMAS).schemas = schemas;
+    }
+
+    const order = (name) => (name === SCHEMAS ? 2 : name === UNTAGGED ? 1 : 0);
+    return [...groups.values()].sort((a, b) => order(a.tag) - order(b.tag) || a.tag.localeCompare(b.tag));
+  }
+
+  /**
+   * Structured report: totals, version check and the changes grouped by tag
+   */
+  toJSON() {
+    const { timestamp, hasChanges, hasBreakingChanges, summary, versioning } = this.summary;
+
+    return {
+      title: this.options.title,
+      generatedAt: timestamp,
+      specs: { old: this.relativePath(this.options.oldSpecPath), new: this.relativePath(this.options.newSpecPath) },
+      hasChanges,
+      hasBreakingChanges,
+      totals: summary,
+      versioning: versioning || null,
+      suppressed: this.suppressed().map(finding => ({ ...this.describeFinding(finding), suppression: finding.suppression })),
+      suppressions: this.summary.details.suppressions || { expired: [], unused: [] },
+      tags: this.groupByTag().map(({ tag, breaking, added, modified, removed, renamed, schemas }) => ({
+        tag,
+        breaking: breaking.map(finding => this.describeFinding(finding)),
+        added: added.map(endpoint => this.describeEndpoint(endpoint)),
+        modified: modified.map(endpoint => ({ ...this.describeEndpoint(endpoint), changes: endpoint.changes, schemas: endpoint.schemas || [] })),
+        removed: removed.map(endpoint => this.describeEndpoint(endpoint)),
+        renamed: renamed.map(endpoint => ({
+          ...this.describeEndpoint(endpoint),
+          previous: endpoint.previous,
+          kind: endpoint.kind,
+          matchedBy: endpoint.matchedBy,
+          clientVisible: endpoint.clientVisible,
+          differences: endpoint.differences,
+          changes: endpoint.changes
+        })),
+        ...(schemas && { schemas })
+      }))
+    };
+  }
+
+  /**
+   * Markdown for pull request bodies: an overview, the breaking changes, and a
+   * collapsible `<details>` section per tag
+   */
+  renderMarkdown() {
+    const { hasChanges, hasBreakingChanges, summary, versioning } = this.summary;
+    const lines = [`## ${this.options.title}`, ''];
+
+    if (!hasChanges) {
+      lines.push('No changes detected.', '', ...this.markdownSuppressions());
+      return lines.join('\n');
+    }
+
+    lines.push(
+      '| | Added | Modified | Removed | Renamed or moved |',
+      '|---|---|---|---|---|',
+      `| Endpoints | ${summary.endpoints.added} | ${summary.endpoints.modified} | ${summary.endpoints.removed} | ${summary.endpoints.renamed ?? 0} |`,
+      `| Schemas | ${summary.schemas.added} | ${summary.schemas.modified} | ${summary.schemas.removed} | |`,
+      ''
+    );
+
+    if (versioning?.recommended) {
+      lines.push(`**Version:** \`${versioning.old}\` → \`${versioning.new}\` (${versioning.declared} bump), recommended: **${versioning.recommended}**. ${versioning.reason}.`);
+      if (versioning.mismatch) {
+        lines.push('', `> [!WARNING]`, `> The declared version bump is smaller than required; a ${versioning.recommended} bump is recommended.`);
+      }
+      lines.push('');
+    }
+
+    if (hasBreakingChanges) {
+      lines.push(`### ⚠️ Breaking changes (${summary.breakingChanges})`, '');
+      lines.push('| Severity | Rule | Change |', '|---|---|---|');
+      this.summary.details.breaking.forEach(finding => {
+        lines.push(`| ${finding.severity} | \`${finding.type}\` | ${this.markdownCell(finding.description)} |`);
+      });
+      lines.push('');
+    } else {
+      lines.push('✅ No breaking changes detected.', '');
+    }
+
+    if (this.suppressed().length) {
+      lines.push(`### Accepted breaking changes (${this.suppressed().length})`, '');
+      lines.push('| Severity | Rule | Change | Justification | Expires |', '|---|---|---|---|---|');
+      this.suppressed().forEach(finding => {
+        lines.push(`| ${finding.severity} | \`${finding.type}\` | ${this.markdownCell(finding.description)} | ${this.markdownCell(finding.suppression.justification)} | ${finding.suppression.expires} |`);
+      });
+      lines.push('');
+    }
+
+    lines.push(...this.markdownSuppressions());
+    lines.push('### Changes by tag', '');
+
+    for (const group of this.groupByTag()) {
+      lines.push('<details>', `<summary><strong>${escapeHtml(group.tag)}</strong>: ${escapeHtml(this.countLabel(group))}</summary>`, '');
+
+      if (group.breaking.length) {
+        lines.push('**Breaking changes**', '');
+        group.breaking.forEach(finding => lines.push(`- ⚠️ ${this.markdownText(finding.description)}`));
+        lines.push('');
+      }
+
+      for (const [kind, title] of [['added', 'Added'], ['modified', 'Modified'], ['removed', 'Removed']]) {
+        if (group[kind].length) {
+          lines.push(`**${title}**`, '');
+          group[kind].forEach(endpoint => lines.push(`- ${this.markdownEndpoint(endpoint)}`));
+          lines.push('');
+        }
+      }
+
+      if (group.renamed.length) {
+        lines.push('**Renamed or moved**', '');
+        group.renamed.forEach(endpoint => lines.push(`- ${this.markdownText(this.describeRename(endpoint))}`));
+        lines.push('');
+      }
+
+      if (group.schemas) {
+        const { added, removed, modified } = group.schemas;
+        added.forEach(name => lines.push(`- Added \`${name}\``));
+        removed.forEach(name => lines.push(`- Removed \`${name}\``));
+        modified.forEach(schema => {
+          lines.push(`- Modified \`${schema.name}\``);
+          schema.changes.forEach(change => lines.push(`  - ${this.markdownText(this.describeSchemaChange(change))}`));
+        });
+        lines.push('');
+      }
+
+      lines.push('</details>', '');
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Markdown list of expired and unused suppressions
+   */
+  markdownSuppressions() {
+    const items = this.suppressionProblems();
+    if (!items.length) {
+      return [];
+    }
+    return ['### Suppressions to review', '', ...items.map(item => `- ${this.markdownText(item)}`), ''];
+  }
+
+  /**
+   * One line per expired or unused suppression
+   */
+  suppressionProblems() {
+    const { expired = [], unused = [] } = this.summary.details?.suppressions || {};
+    const label = (entry) => `#${entry.id} (${entry.rule} ${entry.operation || entry.pointer})`;
+
+    return [
+      ...expired.map(entry => `${label(entry)} expired on ${entry.expires}${entry.matchesFindings ? '; its breaking changes are reported again' : ''}`),
+      ...unused.map(entry => `${label(entry)} matched no breaking change and can be removed`)
+    ];
+  }
+
+  /**
+   * Suppressed breaking changes of the summary
+   */
+  suppressed() {
+    return this.summary.details?.suppressed || [];
+  }
+
+  /**
+   * Standalone HTML page (inline styles, no external assets)
+   */
+  renderHtml() {
+    const { timestamp, hasChanges, summary, versioning } = this.summary;
+    const title = escapeHtml(this.options.title);
+    const body = [];
+
+    body.push(`<h1>${title}</h1>`);
+    body.push(`<p class="meta">${escapeHtml(this.relativePath(this.options.oldSpecPath) || 'old spec')} → ${escapeHtml(this.relativePath(this.options.newSpecPath) || 'new spec')}, generated ${escapeHtml(timestamp)}</p>`);
+
+    const problems = this.suppressionProblems();
+    const suppressionList = problems.length
+      ? `<h2>Suppressions to review</h2><ul>${problems.map(item => `<li class="warning">${escapeHtml(item)}</li>`).join('')}</ul>`
+      : '';
+
+    if (!hasChanges) {
+      body.push('<p>No changes detected.</p>', suppressionList);
+    } else {
+      body.push(
+        '<table><thead><tr><th></th><th>Added</th><th>Modified</th><th>Removed</th><th>Renamed or moved</th></tr></thead><tbody>',
+        `<tr><th>Endpoints</th><td>${summary.endpoints.added}</td><td>${summary.endpoints.modified}</td><td>${summary.endpoints.removed}</td><td>${summary.endpoints.renamed ?? 0}</td></tr>`,
+        `<tr><th>Schemas</th><td>${summary.schemas.added}</td><td>${summary.schemas.modified}</td><td>${summary.schemas.removed}</td><td></td></tr>`,
+        '</tbody></table>'
+      );
+
+      if (versioning?.recommended) {
+        body.push(`<p class="${versioning.mismatch ? 'warning' : ''}">Version <code>${escapeHtml(versioning.old)}</code> → <code>${escapeHtml(versioning.new)}</code> (${escapeHtml(versioning.declared)} bump), recommended: <strong>${escapeHtml(versioning.recommended)}</strong>. ${escapeHtml(versioning.reason)}.</p>`);
+      }
+
+      const breaking = this.summary.details.breaking;
+      if (breaking.length) {
+        body.push(`<h2>Breaking changes (${breaking.length})</h2>`);
+        body.push('<table><thead><tr><th>Severity</th><th>Rule</th><th>Change</th><th>Location</th></tr></thead><tbody>');
+        breaking.forEach(finding => {
+          body.push(`<tr class="${escapeHtml(finding.severity)}"><td>${escapeHtml(finding.severity)}</td><td><code>${escapeHtml(finding.type)}</code></td><td>${escapeHtml(finding.description)}</td><td><code>${escapeHtml(finding.pointer || '')}</code></td></tr>`);
+        });
+        body.push('</tbody></table>');
+      } else {
+        body.push('<p>No breaking changes detected.</p>');
+      }
+
+      const suppressed = this.suppressed();
+      if (suppressed.length) {
+        body.push(`<h2>Accepted breaking changes (${suppressed.length})</h2>`);
+        body.push('<table><thead><tr><th>Severity</th><th>Rule</th><th>Change</th><th>Justification</th><th>Expires</th></tr></thead><tbody>');
+        suppressed.forEach(finding => {
+          body.push(`<tr><td>${escapeHtml(finding.severity)}</td><td><code>${escapeHtml(finding.type)}</code></td><td>${escapeHtml(finding.description)}</td><td>${escapeHtml(finding.suppression.justification)}</td><td>${escapeHtml(finding.suppression.expires)}</td></tr>`);
+        });
+        body.push('</tbody></table>');
+      }
+
+      body.push(suppressionList);
+
+      body.push('<h2>Changes by tag</h2>');
+      for (const group of this.groupByTag()) {
+        body.push(`<details open><summary><strong>${escapeHtml(group.tag)}</strong>: ${escapeHtml(this.countLabel(group))}</summary>`);
+
+        const items = [
+          ...group.breaking.map(finding => `<li class="breaking">⚠️ ${escapeHtml(finding.description)}</li>`),
+          ...group.added.map(endpoint => `<li class="added">Added ${this.htmlEndpoint(endpoint)}</li>`),
+          ...group.modified.map(endpoint => `<li class="modified">Modified ${this.htmlEndpoint(endpoint)}</li>`),
+          ...group.removed.map(endpoint => `<li class="removed">Removed ${this.htmlEndpoint(endpoint)}</li>`),
+          ...group.renamed.map(endpoint => `<li class="modified">${escapeHtml(this.describeRename(endpoint))}</li>`)
+        ];
+
+        if (group.schemas) {
+          group.schemas.added.forEach(name => items.push(`<li class="added">Added <code>${escapeHtml(name)}</code></li>`));
+          group.schemas.removed.forEach(name => items.push(`<li class="removed">Removed <code>${escapeHtml(name)}</code></li>`));
+          group.schemas.modified.forEach(schema => {
+            const changes = schema.changes.map(change => `<li>${escapeHtml(this.describeSchemaChange(change))}</li>`).join('');
+            items.push(`<li class="modified">Modified <code>${escapeHtml(schema.name)}</code><ul>${changes}</ul></li>`);
+          });
+        }
+
+        body.push(`<ul>${items.join('')}</ul></details>`);
+      }
+    }
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${title}</title>
+<style>
+  body { font-family: system-ui, sans-serif; line-height: 1.5; max-width: 960px; margin: 2rem auto; padding: 0 1rem; color: #1f2328; }
+  table { border-collapse: collapse; margin: 1rem 0; }
+  th, td { border: 1px solid #d0d7de; padding: 0.3rem 0.6rem; text-align: left; vertical-align: top; }
+  code { background: #f6f8fa; padding: 0 0.2rem; border-radius: 3px; }
+  details { margin: 0.5rem 0; padding: 0.5rem; border: 1px solid #d0d7de; border-radius: 6px; }
+  .meta { color: #59636e; }
+  .warning, .breaking, tr.high td:first-child { color: #cf222e; }
+  tr.medium td:first-child { color: #9a6700; }
+  .added { color: #1a7f37; }
+  .removed { color: #cf222e; }
+</style>
+</head>
+<body>
+${body.filter(Boolean).join('\n')}
+</body>
+</html>
+`;
+  }
+
+  /**
+   * SARIF 2.1.0 log with one result per breaking change
+   */
+  renderSarif() {
+    const rules = { ...DETECTOR_RULES, ...RULES };
+    const ruleIds = Object.keys(rules);
+
+    return {
+      $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+      version: '2.1.0',
+      runs: [{
+        tool: {
+          driver: {
+            name: 'capi-docs diff',
+            rules: ruleIds.map(id => ({
+              id,
+              shortDescription: { text: rules[id].summary },
+              defaultConfiguration: { level: SARIF_LEVELS[rules[id].severity] || 'warning' },
+              properties: { tags: ['breaking-change'] }
+            }))
+          }
+        },
+        results: [...this.summary.details.breaking, ...this.suppressed()].map(finding => this.sarifResult(finding, ruleIds))
+      }]
+    };
+  }
+
+  /**
+   * SARIF result for a finding, located in the new spec (the file a pull request
+   * changes). Removed locations point at their closest remaining parent;
+   * accepted changes carry a SARIF suppression with their justification.
+   */
+  sarifResult(finding, ruleIds) {
+    const { newSpecPath, newSpecText } = this.options;
+    const line = newSpecText && finding.pointer ? locatePointer(newSpecText, finding.pointer) : null;
+    const ruleIndex = ruleIds.indexOf(finding.type);
+
+    return {
+      ruleId: finding.type,
+      ...(ruleIndex !== -1 && { ruleIndex }),
+      level: SARIF_LEVELS[finding.severity] || 'warning',
+      message: { text: finding.description },
+      locations: [{
+        physicalLocation: {
+          artifactLocation: { uri: this.relativePath(newSpecPath) || 'openapi.yaml' },
+          region: { startLine: line || 1 }
+        },
+        ...(finding.pointer && { logicalLocations: [{ fullyQualifiedName: finding.pointer, kind: 'member' }] })
+      }],
+      ...(finding.suppression && {
+        suppressions: [{ kind: 'external', status: 'accepted', justification: finding.suppression.justification }]
+      }),
+      properties: {
+        severity: finding.severity,
+        pointer: finding.pointer ?? null,
+        old: finding.old ?? null,
+        new: finding.new ?? null
+      }
+    };
+  }
+
+  /**
+   * Endpoint fields shown in reports
+   */
+  describeEndpoint({ method, path: endpointPath, operationId, summary }) {
+    return { method, path: endpointPath, operationId: operationId ?? null, summary: summary ?? null };
+  }
+
+  /**
+   * Finding fields shown in reports
+   */
+  describeFinding({ type, severity, description, pointer, old, new: current, endpoint }) {
+    return {
+      type,
+      severity,
+      description,
+      pointer: pointer ?? null,
+      old: old ?? null,
+      new: current ?? null,
+      endpoint: endpoint ? { method: endpoint.method, path: endpoint.path } : null
+    };
+  }
+
+  /**
+   * One line for a renamed or moved endpoint, with its differences and whether clients see them
+   */
+  describeRename(endpoint) {
+    const { previous, differences, clientVisible } = endpoint;
+    const verb = endpoint.kind === 'moved' ? 'Moved' : 'Renamed';
+    const details = differences.map(difference => difference.description);
+
+    return `${verb} ${previous.method} ${previous.path} → ${endpoint.method} ${endpoint.path}`
+      + (details.length ? `: ${details.join('; ')}` : '')
+      + ` (${clientVisible ? 'client-visible' : 'not visible to clients on the wire'})`;
+  }
+
+  /**
+   * One line for a property-level schema change (`domains[].name: type changed from string to integer`)
+   */
+  describeSchemaChange(change) {
+    const value = (v) => (v === null || v === undefined ? 'none' : typeof v === 'string' ? v : JSON.stringify(v));
+
+    if (change.change === 'added') {
+      return `${change.property}: added (${value(change.new)})`;
+    }
+    if (change.change === 'removed') {
+      return `${change.property}: removed (was ${value(change.old)})`;
+    }
+    return `${change.property}: ${change.keyword} changed from ${value(change.old)} to ${value(change.new)}`;
+  }
+
+  /**
+   * Counts shown in a tag's summary line (`1 breaking, 2 added, 1 modified`)
+   */
+  countLabel(group) {
+    const counts = [
+      [group.breaking.length, 'breaking'],
+      [group.added.length, 'added'],
+      [group.modified.length, 'modified'],
+      [group.removed.length, 'removed'],
+      [group.renamed.length, 'renamed or moved']
+    ];
+
+    if (group.schemas) {
+      counts.push([group.schemas.added.length + group.schemas.modified.length + group.schemas.removed.length, 'schema changes']);
+    }
+
+    return counts.filter(([count]) => count > 0).map(([count, label]) => `${count} ${label}`).join(', ') || 'no changes';
+  }
+
+  /**
+   * Markdown list item text for an endpoint
+   */
+  markdownEndpoint(endpoint) {
+    const summary = endpoint.summary ? `: ${this.markdownText(endpoint.summary)}` : '';
+    const changes = endpoint.changes?.length ? ` (${endpoint.changes.join(', ')})` : '';
+    return `\`${endpoint.method} ${endpoint.path}\`${summary}${changes}`;
+  }
+
+  /**
+   * HTML text for an endpoint
+   */
+  htmlEndpoint(endpoint) {
+    const summary = endpoint.summary ? `: ${escapeHtml(endpoint.summary)}` : '';
+    const changes = endpoint.changes?.length ? ` (${escapeHtml(endpoint.changes.join(', '))})` : '';
+    return `<code>${escapeHtml(`${endpoint.method} ${endpoint.path}`)}</code>${summary}${changes}`;
+  }
+
+  /**
+   * Spec text safe for Markdown: no raw HTML, no line breaks
+   */
+  markdownText(text) {
+    return String(text ?? '').replace(/</g, '&lt;').replace(/\s*\n\s*/g, ' ');
+  }
+
+  /**
+   * Spec text safe for a Markdown table cell
+   */
+  markdownCell(text) {
+    return this.markdownText(text).replace(/\|/g, '\\|');
+  }
+
+  /**
+   * Path relative to the report root, with forward slashes (as SARIF and PR readers expect)
+   */
+  relativePath(filePath) {
+    if (!filePath) {
+      return null;
+    }
+    const relative = path.relative(this.options.rootDir, path.resolve(filePath));
+    return (relative.startsWith('..') ? path.resolve(filePath) : relative).split(path.sep).join('/');
+  }
+}
+
+export default DiffReport;
@@ -0,0 +1,353 @@
+/**
+ * Project Configuration for the WP Engine Customer API Documentation toolchain
+ *
+ * Loads `docs.config.js` (or `.mjs` / `.json`) from the project root, or the file
+ * given with `--config`, and maps it onto the options of the individual tools.
+ * Paths are resolved relative to the config file; anything left out of the
+ * config falls back to the tool's own default.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { LANGUAGES } from './code-examples.js';
+import { importFresh } from './plugin-manager.js';
+import { REPORT_FORMATS } from './diff-report.js';
+import { SEVERITIES } from './lint-rules.js';
+
+export const CONFIG_FILES = ['docs.config.js', 'docs.config.mjs', 'docs.config.json'];
+
+const CONFIG_SCHEMA = {
+  spec: ['source', 'public', 'sanitizeRules'],
+  output: ['endpointsDir', 'modelsDir', 'rateLimitingPage', 'contentDir', 'publicDir', 'parsedData', 'manifest'],
+  navigation: ['astroConfig'],
+  changelog: ['dataFile', 'pagesDir', 'feed', 'siteUrl'],
+  diff: ['outputDir', 'formats', 'suppressions'],
+  lint: ['rules', 'plugins'],
+  templates: ['dir', 'layers', 'overrides', 'helpers'],
+  languages: null,
+  plugins: null,
+  branding: ['apiName', 'companyName']
+};
+
+/**
+ * Raised for missing, unreadable or invalid configuration files
+ */
+export class ConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConfigError';
+  }
+}
+
+/**
+ * Resolved documentation toolchain configuration
+ */
+export class DocsConfig {
+  constructor(config = {}, configPath = null, rootDir = process.cwd()) {
+    this.configPath = configPath;
+    this.rootDir = rootDir;
+    this.raw = config;
+
+    this.validate(config);
+
+    const spec = config.spec || {};
+    const output = config.output || {};
+    const templates = config.templates || {};
+    const changelog = config.changelog || {};
+    const diff = config.diff || {};
+    const lint = config.lint || {};
+
+    this.spec = {
+      source: this.resolve(spec.source),
+      public: this.resolve(spec.public),
+      sanitizeRules: this.resolve(spec.sanitizeRules)
+    };
+    this.output = {
+      endpointsDir: this.resolve(output.endpointsDir),
+      modelsDir: this.resolve(output.modelsDir),
+      rateLimitingPage: this.resolve(output.rateLimitingPage),
+      contentDir: this.resolve(output.contentDir),
+      publicDir: this.resolve(output.publicDir),
+      parsedData: this.resolve(output.parsedData),
+      manifest: this.resolve(output.manifest)
+    };
+    this.navigation = {
+      astroConfig: this.resolve(config.navigation?.astroConfig)
+    };
+    this.changelog = {
+      dataFile: this.resolve(changelog.dataFile),
+      pagesDir: this.resolve(changelog.pagesDir),
+      feed: this.resolve(changelog.feed),
+      siteUrl: changelog.siteUrl
+    };
+    this.diff = {
+      outputDir: this.resolve(diff.outputDir),
+      formats: diff.formats,
+      suppressions: this.resolve(diff.suppressions)
+    };
+    this.lint = {
+      rules: lint.rules,
+      plugins: lint.plugins?.map(entry => this.resolvePlugin(entry))
+    };
+    this.templates = {
+      dir: this.resolve(templates.dir),
+      layers: templates.layers,
+      overrides: templates.overrides,
+      helpers: templates.helpers?.map(helperPath => this.resolve(helperPath))
+    };
+    this.languages = config.languages;
+    this.branding = config.branding;
+    this.plugins = config.plugins?.map(entry => this.resolvePlugin(entry));
+  }
+
+  /**
+   * Load the configuration. An explicit path must exist; otherwise the first
+   * `docs.config.*` file in `cwd` is used, and no file at all means defaults.
+   */
+  static async load({ configPath, cwd = process.cwd() } = {}) {
+    let file = null;
+
+    if (configPath) {
+      file = path.resolve(cwd, configPath);
+      if (!await fs.pathExists(file)) {
+        throw new ConfigError(`Config file not found: ${configPath}`);
+      }
+    } else {
+      for (const name of CONFIG_FILES) {
+        if (await fs.pathExists(path.join(cwd, name))) {
+          file = path.join(cwd, name);
+          break;
+        }
+      }
+    }
+
+    if (!file) {
+      return new DocsConfig({}, null, cwd);
+    }
+
+    return new DocsConfig(await DocsConfig.read(file), file, path.dirname(file));
+  }
+
+  /**
+   * Read a JavaScript module (default export) or JSON config file
+   */
+  static async read(file) {
+    const relativePath = path.relative(process.cwd(), file);
+
+    try {
+      if (path.extname(file) === '.json') {
+        return await fs.readJson(file);
+      }
+
+      // Bypass the module cache so watch mode sees an edited config
+      const module = await importFresh(file);
+      return module.default ?? {};
+    } catch (error) {
+      throw new ConfigError(`Failed to load ${relativePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Reject unknown keys and unsupported values so typos do not silently fall back to defaults
+   */
+  validate(config) {
+    if (config === null || typeof config !== 'object' || Array.isArray(config)) {
+      throw new ConfigError('Config must export an object');
+    }
+
+    for (const [section, value] of Object.entries(config)) {
+      if (!(section in CONFIG_SCHEMA)) {
+        throw new ConfigError(`Unknown config section "${section}"`);
+      }
+
+      const keys = CONFIG_SCHEMA[section];
+      if (keys && value !== null && typeof value === 'object') {
+        const unknown = Object.keys(value).filter(key => !keys.includes(key));
+        if (unknown.length > 0) {
+          throw new ConfigError(`Unknown key(s) in "${section}": ${unknown.join(', ')}`);
+        }
+      }
+    }
+
+    if (config.templates?.helpers !== undefined && !Array.isArray(config.templates.helpers)) {
+      throw new ConfigError('"templates.helpers" must be an array of module paths');
+    }
+
+    if (config.plugins !== undefined && !Array.isArray(config.plugins)) {
+      throw new ConfigError('"plugins" must be an array of module paths, [path, options] pairs or plugin objects');
+    }
+
+    if (config.diff?.formats !== undefined) {
+      const formats = config.diff.formats;
+      if (!Array.isArray(formats)) {
+        throw new ConfigError('"diff.formats" must be an array of report formats');
+      }
+
+      const unsupported = formats.filter(format => !(format in REPORT_FORMATS));
+      if (unsupported.length > 0) {
+        throw new ConfigError(`Unsupported report format(s): ${unsupported.join(', ')} (supported: ${Object.keys(REPORT_FORMATS).join(', ')})`);
+      }
+    }
+
+    if (config.lint?.rules !== undefined) {
+      const rules = config.lint.rules;
+      if (rules === null || typeof rules !== 'object' || Array.isArray(rules)) {
+        throw new ConfigError('"lint.rules" must map rule ids to a severity, \'off\' or [severity, options]');
+      }
+
+      for (const [id, setting] of Object.entries(rules)) {
+        const severity = Array.isArray(setting) ? setting[0] : setting;
+        if (severity !== 'off' && !SEVERITIES.includes(severity)) {
+          throw new ConfigError(`Invalid setting for lint rule "${id}" (expected off, ${SEVERITIES.join(', ')} or [severity, options])`);
+        }
+      }
+    }
+
+    if (config.lint?.plugins !== undefined && !Array.isArray(config.lint.plugins)) {
+      throw new ConfigError('"lint.plugins" must be an array of module paths, [path, options] pairs or rule objects');
+    }
+
+    if (config.languages !== undefined) {
+      const languages = config.languages;
+      if (!Array.isArray(languages) || languages.length === 0) {
+        throw new ConfigError('"languages" must be a non-empty array');
+      }
+
+      const unsupported = languages.filter(language => !LANGUAGES.includes(language));
+      if (unsupported.length > 0) {
+        throw new ConfigError(`Unsupported language(s): ${unsupported.join(', ')} (supported: ${LANGUAGES.join(', ')})`);
+      }
+    }
+  }
+
+  /**
+   * Resolve a config path relative to the config file
+   */
+  resolve(filePath) {
+    return filePath ? path.resolve(this.rootDir, filePath) : undefined;
+  }
+
+  /**
+   * Resolve the module path of a plugin entry; inline plugin objects are kept as they are
+   */
+  resolvePlugin(entry) {
+    if (typeof entry === 'string') {
+      return this.resolve(entry);
+    }
+    if (Array.isArray(entry) && typeof entry[0] === 'string') {
+      return [this.resolve(entry[0]), entry[1] ?? {}];
+    }
+    return entry;
+  }
+
+  /**
+   * Options for `OpenAPIParser` runs
+   */
+  parserOptions() {
+    return this.defined({
+      specPath: this.spec.public,
+      outputPath: this.output.parsedData
+    });
+  }
+
+  /**
+   * Options for `SpecSanitizer`
+   */
+  sanitizerOptions() {
+    return this.defined({
+      sourcePath: this.spec.source,
+      outputPath: this.spec.public,
+      rulesPath: this.spec.sanitizeRules
+    });
+  }
+
+  /**
+   * Options for `DocumentationGenerator`
+   */
+  generatorOptions() {
+    return this.defined({
+      configPath: this.configPath ?? undefined,
+      specPath: this.spec.public,
+      sourceSpecPath: this.spec.source,
+      sanitizeRulesPath: this.spec.sanitizeRules,
+      outputDir: this.output.endpointsDir,
+      modelsDir: this.output.modelsDir,
+      rateLimitingPath: this.output.rateLimitingPage,
+      manifestPath: this.output.manifest,
+      changelogPath: this.changelog.dataFile,
+      changelogDir: this.changelog.pagesDir,
+      feedPath: this.changelog.feed,
+      publicDir: this.output.publicDir,
+      navConfigPath: this.navigation.astroConfig,
+      siteUrl: this.changelog.siteUrl,
+      templatesDir: this.templates.dir,
+      templateLayers: this.templates.layers,
+      templateOverrides: this.templates.overrides,
+      helperModules: this.templates.helpers,
+      plugins: this.plugins,
+      languages: this.languages,
+      branding: this.branding
+    });
+  }
+
+  /**
+   * Options for `SpecHistory`
+   */
+  historyOptions() {
+    return this.defined({
+      specPath: this.spec.public,
+      changelogPath: this.changelog.dataFile
+    });
+  }
+
+  /**
+   * Options for `OpenAPIChangeDetector`
+   */
+  diffOptions() {
+    return this.defined({
+      outputDir: this.diff.outputDir,
+      formats: this.diff.formats,
+      suppressionsPath: this.diff.suppressions
+    });
+  }
+
+  /**
+   * Options for `SpecLinter`
+   */
+  lintOptions() {
+    return this.defined({
+      specPath: this.spec.public,
+      rules: this.lint.rules,
+      plugins: this.lint.plugins
+    });
+  }
+
+  /**
+   * Options for `NavigationUpdater`
+   */
+  navigationOptions() {
+    return this.defined({
+      specPath: this.spec.public,
+      configPath: this.navigation.astroConfig
+    });
+  }
+
+  /**
+   * Options for `ContentValidator`
+   */
+  validatorOptions() {
+    return this.defined({
+      contentDir: this.output.contentDir,
+      publicDir: this.output.publicDir
+    });
+  }
+
+  /**
+   * Drop unset options so tool defaults apply
+   */
+  defined(options) {
+    return Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+  }
+}
+
+export default DocsConfig;
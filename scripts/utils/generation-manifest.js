@@ -0,0 +1,122 @@
+/**
+ * Generation Manifest for WP Engine Customer API Documentation
+ *
+ * Records, for every page the generator produced, a hash of the inputs it was
+ * rendered from (template source + template data). Later runs use it to skip
+ * pages whose inputs did not change and to find pages whose endpoint, tag or
+ * model has disappeared from the spec.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import crypto from 'crypto';
+
+const MANIFEST_VERSION = 1;
+
+/**
+ * Track generated outputs between runs
+ */
+export class GenerationManifest {
+  constructor(manifestPath, rootDir) {
+    this.manifestPath = manifestPath;
+    this.rootDir = rootDir;
+    this.previous = {};
+    this.current = {};
+  }
+
+  /**
+   * Load the manifest written by the previous run (missing or invalid manifests start empty)
+   */
+  async load() {
+    if (!await fs.pathExists(this.manifestPath)) {
+      return;
+    }
+
+    try {
+      const manifest = await fs.readJson(this.manifestPath);
+      if (manifest.version === MANIFEST_VERSION) {
+        this.previous = manifest.files || {};
+      }
+    } catch {
+      this.previous = {};
+    }
+  }
+
+  /**
+   * Hash the inputs of a page
+   */
+  hashSource(...parts) {
+    const hash = crypto.createHash('sha256');
+    parts.forEach(part => hash.update(typeof part === 'string' ? part : JSON.stringify(part) ?? ''));
+    return hash.digest('hex').slice(0, 16);
+  }
+
+  /**
+   * Check whether a page was last generated from the same inputs
+   */
+  isUpToDate(filePath, sourceHash) {
+    return this.previous[this.key(filePath)]?.sourceHash === sourceHash;
+  }
+
+  /**
+   * Get the entry a page had in the previous run
+   */
+  getPrevious(filePath) {
+    return this.previous[this.key(filePath)];
+  }
+
+  /**
+   * Record a page as produced by this run
+   */
+  record(filePath, entry) {
+    this.current[this.key(filePath)] = entry;
+  }
+
+  /**
+   * Keep the previous entry of a page this run expected but did not (re)write
+   */
+  carryOver(filePath, fallback) {
+    const key = this.key(filePath);
+    this.current[key] = this.previous[key] || fallback;
+  }
+
+  /**
+   * Check whether a page is expected in the current run
+   */
+  has(filePath) {
+    return this.key(filePath) in this.current;
+  }
+
+  /**
+   * Get the absolute paths of pages from the previous run that this run did not produce
+   */
+  getStaleFiles() {
+    return Object.keys(this.previous)
+      .filter(key => !(key in this.current))
+      .map(key => path.resolve(this.rootDir, key));
+  }
+
+  /**
+   * Write the manifest for the next run
+   */
+  async save(generator) {
+    const files = Object.fromEntries(
+      Object.entries(this.current).sort(([a], [b]) => a.localeCompare(b))
+    );
+
+    await fs.writeFile(
+      this.manifestPath,
+      JSON.stringify({ version: MANIFEST_VERSION, generator, files }, null, 2) + '\n',
+      'utf8'
+    );
+  }
+
+  /**
+   * Manifest keys are POSIX paths relative to the project root
+   */
+  key(filePath) {
+    return path.relative(this.rootDir, path.resolve(filePath)).split(path.sep).join('/');
+  }
+}
+
+export default GenerationManifest;
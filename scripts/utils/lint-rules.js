@@ -0,0 +1,383 @@
+/**
+ * Spec Lint Rules for WP Engine Customer API Documentation
+ *
+ * The built-in rules of `capi-docs lint`, encoding the WP Engine house style
+ * for the Customer API spec. A rule is an object:
+ *
+ *   {
+ *     id: 'operation_summary',
+ *     severity: 'warning',              // error, warning or info
+ *     description: 'Every operation has a summary',
+ *     check(context, options) {         // options come from the lint config
+ *       for (const operation of context.operations) {
+ *         if (!operation.value.summary) {
+ *           context.report({ message: `${operation.label} has no summary`, pointer: operation.pointer });
+ *         }
+ *       }
+ *     }
+ *   }
+ *
+ * Plugin modules listed in `lint.plugins` default-export a rule, an array of
+ * rules, or a function returning either.
+ */
+
+import { HTTP_METHODS, encodePointer } from './breaking-changes.js';
+import { getNamedSchemas } from './schema-diff.js';
+import { stripDocs } from './version-bump.js';
+
+export const SEVERITIES = ['error', 'warning', 'info'];
+
+// Error statuses whose responses should be defined the same way everywhere
+const ERROR_STATUSES = ['400', '401', '403', '404', '429', '503'];
+
+const PLACEHOLDER_PATTERN = /\b(TODO|TBD|FIXME|XXX|lorem ipsum)\b/i;
+
+/**
+ * Operations of a spec with their pointers and path-level parameters
+ */
+export function getOperations(spec) {
+  const operations = [];
+
+  for (const [path, pathItem] of Object.entries(spec.paths || {})) {
+    for (const method of HTTP_METHODS) {
+      if (pathItem?.[method]) {
+        operations.push({
+          path,
+          method,
+          value: pathItem[method],
+          pathItem,
+          label: `${method.toUpperCase()} ${path}`,
+          pointer: encodePointer('paths', path, method)
+        });
+      }
+    }
+  }
+
+  return operations;
+}
+
+/**
+ * Serialize a schema without documentation keywords and with sorted keys, so
+ * structurally equal schemas compare equal
+ */
+function canonicalSchema(schema) {
+  const sort = (value) => {
+    if (Array.isArray(value)) {
+      return value.map(sort);
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.keys(value).sort().map(key => [key, sort(value[key])]));
+    }
+    return value;
+  };
+
+  return JSON.stringify(sort(stripDocs(schema)));
+}
+
+/**
+ * The schema of a Swagger 2 parameter or response (`schema`), or the JSON
+ * schema of an OpenAPI 3 parameter, request body or response
+ * (`content[<json type>].schema`), with its pointer relative to its owner
+ */
+function getSchema(owner) {
+  if (owner?.schema) {
+    return { value: owner.schema, pointer: '/schema' };
+  }
+
+  const mediaType = Object.keys(owner?.content || {}).find(type => /json/.test(type));
+  return mediaType && owner.content[mediaType].schema
+    ? { value: owner.content[mediaType].schema, pointer: encodePointer('content', mediaType, 'schema') }
+    : null;
+}
+
+/**
+ * Parameters of an operation (path-level ones included), resolved, with pointers
+ */
+function getParameters(context, operation) {
+  const sources = [
+    [operation.pathItem.parameters || [], encodePointer('paths', operation.path, 'parameters')],
+    [operation.value.parameters || [], `${operation.pointer}/parameters`]
+  ];
+
+  return sources.flatMap(([list, basePointer]) => list.map((parameter, index) => ({
+    value: context.resolve(parameter) || {},
+    pointer: context.resolver.isRef(parameter) ? parameter.$ref.slice(1) : `${basePointer}/${index}`
+  })));
+}
+
+export const operationIdUnique = {
+  id: 'operation_id_unique',
+  severity: 'error',
+  description: 'Every operation has an operationId, and no two operations share one',
+  check(context) {
+    const seen = new Map();
+
+    for (const operation of context.operations) {
+      const { operationId } = operation.value;
+
+      if (!operationId) {
+        context.report({ message: `${operation.label} has no operationId`, pointer: operation.pointer });
+      } else if (seen.has(operationId)) {
+        context.report({
+          message: `operationId "${operationId}" of ${operation.label} is already used by ${seen.get(operationId)}`,
+          pointer: `${operation.pointer}/operationId`
+        });
+      } else {
+        seen.set(operationId, operation.label);
+      }
+    }
+  }
+};
+
+export const operationTagged = {
+  id: 'operation_tagged',
+  severity: 'warning',
+  description: 'Every operation has a tag that is declared in the top-level tags',
+  check(context) {
+    const declared = new Set((context.spec.tags || []).map(tag => tag.name));
+
+    for (const operation of context.operations) {
+      const tags = operation.value.tags || [];
+
+      if (tags.length === 0) {
+        context.report({ message: `${operation.label} has no tags`, pointer: operation.pointer });
+        continue;
+      }
+
+      if (declared.size > 0) {
+        tags.filter(tag => !declared.has(tag)).forEach(tag => context.report({
+          message: `${operation.label} uses tag "${tag}", which is not declared in the top-level tags`,
+          pointer: `${operation.pointer}/tags`
+        }));
+      }
+    }
+  }
+};
+
+export const operationSummary = {
+  id: 'operation_summary',
+  severity: 'warning',
+  description: 'Every operation has a summary',
+  check(context) {
+    for (const operation of context.operations) {
+      if (!String(operation.value.summary ?? '').trim()) {
+        context.report({ message: `${operation.label} has no summary`, pointer: operation.pointer });
+      }
+    }
+  }
+};
+
+export const pathParametersDeclared = {
+  id: 'path_parameters_declared',
+  severity: 'error',
+  description: 'Every path template parameter is declared as a required path parameter, and no others are',
+  check(context) {
+    for (const operation of context.operations) {
+      const templateNames = (operation.path.match(/\{[^}]+\}/g) || []).map(name => name.slice(1, -1));
+      const declared = getParameters(context, operation).filter(parameter => parameter.value.in === 'path');
+
+      for (const name of templateNames) {
+        if (!declared.some(parameter => parameter.value.name === name)) {
+          context.report({
+            message: `${operation.label} does not declare path parameter "${name}"`,
+            pointer: operation.pointer
+          });
+        }
+      }
+
+      for (const parameter of declared) {
+        if (!templateNames.includes(parameter.value.name)) {
+          context.report({
+            message: `${operation.label} declares path parameter "${parameter.value.name}", which is not in the path`,
+            pointer: parameter.pointer
+          });
+        } else if (parameter.value.required !== true) {
+          context.report({
+            message: `Path parameter "${parameter.value.name}" of ${operation.label} must be required`,
+            pointer: parameter.pointer
+          });
+        }
+      }
+    }
+  }
+};
+
+export const uuidParameterExample = {
+  id: 'uuid_parameter_example',
+  severity: 'warning',
+  description: 'Parameters with format uuid have an x-example (used by the code examples)',
+  check(context) {
+    const reported = new Set();
+
+    for (const operation of context.operations) {
+      for (const parameter of getParameters(context, operation)) {
+        const format = parameter.value.format ?? parameter.value.schema?.format;
+        // Shared parameters are reported once, at their definition
+        if (format !== 'uuid' || parameter.value['x-example'] !== undefined || parameter.value.example !== undefined || reported.has(parameter.pointer)) {
+          continue;
+        }
+
+        reported.add(parameter.pointer);
+        context.report({
+          message: `UUID parameter "${parameter.value.name}" of ${operation.label} has no x-example`,
+          pointer: parameter.pointer
+        });
+      }
+    }
+  }
+};
+
+export const errorResponsesConsistent = {
+  id: 'error_responses_consistent',
+  severity: 'warning',
+  description: 'Error responses (400, 401, 403, 404, 429, 503) use the same shared definition everywhere',
+  check(context, options = {}) {
+    const statuses = options.statuses || ERROR_STATUSES;
+    const identify = (response) => {
+      if (context.resolver.isRef(response)) {
+        return response.$ref;
+      }
+      const schema = getSchema(response);
+      if (schema && context.resolver.isRef(schema.value)) {
+        return schema.value.$ref;
+      }
+      return schema ? 'inline' : null;
+    };
+
+    for (const status of statuses) {
+      const uses = context.operations
+        .filter(operation => operation.value.responses?.[status])
+        .map(operation => ({ operation, identity: identify(operation.value.responses[status]) }));
+
+      // The definition most operations use is the house style for this status
+      const counts = new Map();
+      uses.filter(use => use.identity?.startsWith('#')).forEach(use => counts.set(use.identity, (counts.get(use.identity) || 0) + 1));
+      const [expected] = [...counts.entries()].sort((a, b) => b[1] - a[1])[0] || [];
+
+      if (!expected) {
+        continue;
+      }
+
+      for (const { operation, identity } of uses) {
+        if (identity !== expected) {
+          const actual = identity === null ? 'has no schema' : identity === 'inline' ? 'has an inline schema' : `uses ${identity}`;
+          context.report({
+            message: `${status} response of ${operation.label} ${actual}, other operations use ${expected}`,
+            pointer: `${operation.pointer}${encodePointer('responses', status)}`
+          });
+        }
+      }
+    }
+  }
+};
+
+export const noInlineSchemas = {
+  id: 'no_inline_schemas',
+  severity: 'warning',
+  description: 'Inline schemas that duplicate a named definition use a $ref instead',
+  check(context) {
+    const { schemas, pointer: schemasPointer } = getNamedSchemas(context.spec);
+    // Definitions may share a shape (e.g. error responses), so a shape maps to every name
+    const definitions = new Map();
+
+    for (const [name, schema] of Object.entries(schemas)) {
+      if (schema?.properties) {
+        const shape = canonicalSchema(schema);
+        definitions.set(shape, [...(definitions.get(shape) || []), name]);
+      }
+    }
+
+    const visitChildren = (schema, pointer) => {
+      Object.entries(schema.properties || {}).forEach(([property, value]) => visit(value, `${pointer}${encodePointer('properties', property)}`));
+      if (schema.items) {
+        visit(schema.items, `${pointer}/items`);
+      }
+      (schema.allOf || []).forEach((part, index) => visit(part, `${pointer}/allOf/${index}`));
+    };
+
+    const visit = (schema, pointer) => {
+      if (!schema || typeof schema !== 'object' || context.resolver.isRef(schema)) {
+        return;
+      }
+
+      const names = schema.properties ? definitions.get(canonicalSchema(schema)) : undefined;
+      if (names) {
+        const target = names.length === 1 ? `definition ${names[0]}` : `definitions ${names.join(', ')}`;
+        context.report({ message: `Inline schema duplicates ${target}; use a $ref`, pointer });
+        return;
+      }
+
+      visitChildren(schema, pointer);
+    };
+
+    // A named schema is not inline itself, only what it contains can be
+    for (const [name, schema] of Object.entries(schemas)) {
+      if (schema && typeof schema === 'object') {
+        visitChildren(schema, `${schemasPointer}${encodePointer(name)}`);
+      }
+    }
+
+    for (const operation of context.operations) {
+      const owners = [
+        ...(operation.value.parameters || []).map((parameter, index) => [parameter, `${operation.pointer}/parameters/${index}`]),
+        [operation.value.requestBody, `${operation.pointer}/requestBody`],
+        ...Object.entries(operation.value.responses || {}).map(([status, response]) => [response, `${operation.pointer}${encodePointer('responses', status)}`])
+      ];
+
+      for (const [owner, pointer] of owners) {
+        const schema = context.resolver.isRef(owner) ? null : getSchema(owner);
+        if (schema) {
+          visit(schema.value, `${pointer}${schema.pointer}`);
+        }
+      }
+    }
+  }
+};
+
+export const descriptionQuality = {
+  id: 'description_quality',
+  severity: 'info',
+  description: 'Operations and parameters have real descriptions: present, long enough, no placeholders, not a copy of the summary',
+  check(context, options = {}) {
+    const minLength = options.minLength ?? 20;
+    const checkText = (text, label, pointer, summary) => {
+      // Markdown headings such as "# Description" do not count as content
+      const content = String(text ?? '').replace(/^#+ .*$/gm, '').trim();
+
+      if (!content) {
+        context.report({ message: `${label} has no description`, pointer });
+      } else if (PLACEHOLDER_PATTERN.test(content)) {
+        context.report({ message: `${label} has a placeholder description ("${content.match(PLACEHOLDER_PATTERN)[0]}")`, pointer });
+      } else if (summary && content.replace(/\.$/, '') === String(summary).trim().replace(/\.$/, '')) {
+        context.report({ message: `${label} repeats its summary as description`, pointer });
+      } else if (content.length < minLength) {
+        context.report({ message: `${label} has a very short description ("${content}")`, pointer });
+      }
+    };
+    const reported = new Set();
+
+    for (const operation of context.operations) {
+      checkText(operation.value.description, operation.label, operation.pointer, operation.value.summary);
+
+      for (const parameter of getParameters(context, operation)) {
+        if (!reported.has(parameter.pointer)) {
+          reported.add(parameter.pointer);
+          if (!String(parameter.value.description ?? '').trim()) {
+            context.report({ message: `Parameter "${parameter.value.name}" of ${operation.label} has no description`, pointer: parameter.pointer });
+          }
+        }
+      }
+    }
+  }
+};
+
+export const BUILTIN_RULES = [
+  operationIdUnique,
+  operationTagged,
+  operationSummary,
+  pathParametersDeclared,
+  uuidParameterExample,
+  errorResponsesConsistent,
+  noInlineSchemas,
+  descriptionQuality
+];
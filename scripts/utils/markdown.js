@@ -0,0 +1,325 @@
+/**
+ * Markdown Renderer for WP Engine Customer API Documentation
+ *
+ * Spec descriptions are Markdown (`##### Properties` followed by a bullet
+ * list, `# Description` headings, inline code), written without the page they
+ * end up in in mind. The renderer parses them with markdown-it and writes
+ * them back as Markdown that is safe for where the generator puts them:
+ *
+ * - `renderBlock()` for page sections: headings are moved to the level
+ *   below the section heading they appear under.
+ * - `renderInline()` for table cells and headings: everything on one line,
+ *   blocks separated by `<br />` and list items marked with bullets.
+ *
+ * Literal text is escaped for MDX, so `{`, `}` and `<` in a description are
+ * shown as written instead of starting an expression or a JSX tag.
+ */
+
+import MarkdownIt from 'markdown-it';
+
+// Characters that start Markdown or MDX syntax anywhere in a line
+const INLINE_SPECIAL = /[\\`*[\]{}<]/g;
+
+// Characters that start a block when they open a line (`# `, `> `, `- `)
+const LINE_START_SPECIAL = /^(\s*)([#>+=-])/;
+
+// Ordered list markers (`1. `, `1) `); the delimiter is escaped, as `\1` is no escape
+const ORDERED_LIST_MARKER = /^(\s*)(\d+)([.)])/;
+
+/**
+ * Render Markdown descriptions as MDX-safe Markdown
+ */
+export class MarkdownRenderer {
+  constructor() {
+    // Raw HTML in descriptions is shown as text. MDX has no indented code
+    // blocks, so indentation does not start one here either.
+    this.parser = new MarkdownIt({ html: false, linkify: false }).disable('code');
+  }
+
+  /**
+   * Render a description for a page section. `below` is the heading marker
+   * (`###`) or level of the section; the description's top-level headings
+   * move to the level right below it, and the others keep their distance.
+   */
+  renderBlock(text, { below = 1 } = {}) {
+    const tree = this.parse(text);
+    const parentLevel = typeof below === 'string' ? below.length : Number(below);
+    const levels = this.collect(tree, node => node.token.type === 'heading_open').map(node => Number(node.token.tag.slice(1)));
+    const shift = levels.length > 0 ? parentLevel + 1 - Math.min(...levels) : 0;
+
+    return this.renderBlocks(tree, { shift }).trim();
+  }
+
+  /**
+   * Render a description on a single line, for table cells and headings
+   */
+  renderInline(text) {
+    return this.flatten(this.parse(text))
+      .filter(Boolean)
+      .join('<br />');
+  }
+
+  /**
+   * Parse text into a tree of `{ token, children }` nodes
+   */
+  parse(text) {
+    const root = { token: null, children: [] };
+    const stack = [root];
+
+    for (const token of this.parser.parse(this.dedent(String(text ?? '')), {})) {
+      const parent = stack[stack.length - 1];
+
+      if (token.nesting === 1) {
+        const node = { token, children: [] };
+        parent.children.push(node);
+        stack.push(node);
+      } else if (token.nesting === -1) {
+        stack.pop();
+      } else {
+        parent.children.push({ token, children: [] });
+      }
+    }
+
+    return root.children;
+  }
+
+  /**
+   * Remove the indentation of paragraphs that are indented by four or more
+   * spaces outside a list (`Allowed types:` followed by an indented list in a
+   * YAML block). MDX has no indented code blocks, so the indentation carries
+   * no meaning, but it would stop the lines from being read as a list.
+   */
+  dedent(text) {
+    const LIST_ITEM = /^\s*([-*+]|\d+[.)])\s/;
+    const chunks = text.split(/\n\s*\n/);
+    let fenced = false;
+
+    return chunks.map((chunk, index) => {
+      const lines = chunk.split('\n');
+      const indent = Math.min(...lines.filter(line => line.trim()).map(line => line.match(/^ */)[0].length));
+      const afterList = index > 0 && chunks[index - 1].split('\n').some(line => LIST_ITEM.test(line));
+      const insideFence = fenced;
+      fenced = lines.filter(line => /^\s*(```|~~~)/.test(line)).length % 2 === 1 ? !fenced : fenced;
+
+      return indent >= 4 && !afterList && !insideFence ? lines.map(line => line.slice(indent)).join('\n') : chunk;
+    }).join('\n\n');
+  }
+
+  /**
+   * Find the nodes of a tree that satisfy a predicate
+   */
+  collect(nodes, predicate) {
+    return nodes.flatMap(node => [
+      ...(predicate(node) ? [node] : []),
+      ...this.collect(node.children, predicate)
+    ]);
+  }
+
+  /**
+   * Render sibling block nodes, separated by blank lines (or by line breaks
+   * inside tight list items)
+   */
+  renderBlocks(nodes, context, separator = '\n\n') {
+    return nodes.map(node => this.renderBlockNode(node, context)).filter(Boolean).join(separator);
+  }
+
+  /**
+   * Render one block node
+   */
+  renderBlockNode(node, context) {
+    const { token, children } = node;
+
+    switch (token.type) {
+      case 'heading_open': {
+        const level = Math.max(1, Math.min(6, Number(token.tag.slice(1)) + context.shift));
+        return `${'#'.repeat(level)} ${this.renderInlineNodes(children)}`;
+      }
+      case 'paragraph_open':
+        return this.renderInlineNodes(children);
+      case 'bullet_list_open':
+      case 'ordered_list_open':
+        return this.renderList(node, context);
+      case 'blockquote_open':
+        return this.renderBlocks(children, context).split('\n').map(line => (line ? `> ${line}` : '>')).join('\n');
+      case 'fence':
+      case 'code_block': {
+        const fence = this.fence(token.content, '`', 3);
+        return `${fence}${token.info.trim()}\n${token.content.replace(/\n$/, '')}\n${fence}`;
+      }
+      case 'table_open':
+        return this.renderTable(node);
+      case 'hr':
+        return '---';
+      case 'inline':
+        return this.renderInlineNodes([node]);
+      default:
+        return this.renderBlocks(children, context);
+    }
+  }
+
+  /**
+   * Render a bullet or ordered list; continuation lines are indented under the item text
+   */
+  renderList(node, context) {
+    const ordered = node.token.type === 'ordered_list_open';
+    const start = Number(node.token.attrGet('start') ?? 1);
+    const tight = this.collect(node.children, child => child.token.type === 'paragraph_open').every(child => child.token.hidden);
+
+    return node.children.map((item, index) => {
+      const marker = ordered ? `${start + index}. ` : '- ';
+      const content = this.renderBlocks(item.children, context, tight ? '\n' : '\n\n');
+      const indent = ' '.repeat(marker.length);
+
+      return marker + content.split('\n').map((line, lineIndex) => (lineIndex === 0 || !line ? line : indent + line)).join('\n');
+    }).join(tight ? '\n' : '\n\n');
+  }
+
+  /**
+   * Render a GFM table with its column alignment
+   */
+  renderTable(node) {
+    const rows = this.collect(node.children, child => child.token.type === 'tr_open');
+    const cells = (row) => row.children.map(cell => this.renderInlineNodes(cell.children, { cell: true }));
+    const alignments = rows[0].children.map(cell => {
+      const style = cell.token.attrGet('style') || '';
+      return { 'text-align:left': ':---', 'text-align:center': ':---:', 'text-align:right': '---:' }[style] || '---';
+    });
+
+    return [cells(rows[0]), alignments, ...rows.slice(1).map(cells)]
+      .map(row => `| ${row.join(' | ')} |`)
+      .join('\n');
+  }
+
+  /**
+   * Render inline nodes (the children of an `inline` token) as Markdown
+   */
+  renderInlineNodes(nodes, { cell = false } = {}) {
+    const tokens = nodes.flatMap(node => node.token.children || []);
+    const links = [];
+    let output = '';
+
+    for (const token of tokens) {
+      const lineStart = output === '' || output.endsWith('\n');
+
+      switch (token.type) {
+        case 'text':
+          output += this.escape(token.content, { cell, lineStart });
+          break;
+        case 'code_inline': {
+          const content = cell ? token.content.replace(/\|/g, '\\|') : token.content;
+          const fence = this.fence(content, '`', 1);
+          // A space keeps content starting or ending with a backtick apart from the fence
+          const padding = /^`|`$/.test(content) ? ' ' : '';
+          output += `${fence}${padding}${content}${padding}${fence}`;
+          break;
+        }
+        case 'softbreak':
+          output += cell ? ' ' : '\n';
+          break;
+        case 'hardbreak':
+          output += cell ? '<br />' : '\\\n';
+          break;
+        case 'strong_open':
+        case 'strong_close':
+        case 'em_open':
+        case 'em_close':
+          output += token.markup;
+          break;
+        case 's_open':
+        case 's_close':
+          output += '~~';
+          break;
+        case 'link_open':
+          links.push(token.attrGet('href'));
+          output += '[';
+          break;
+        case 'link_close':
+          output += `](${this.escapeUrl(links.pop())})`;
+          break;
+        case 'image':
+          output += `![${this.escape(token.content, { cell })}](${this.escapeUrl(token.attrGet('src'))})`;
+          break;
+        default:
+          output += this.escape(token.content || '', { cell });
+      }
+    }
+
+    return output;
+  }
+
+  /**
+   * Flatten block nodes into single-line segments: headings become bold,
+   * list items get bullets, code blocks become inline code
+   */
+  flatten(nodes, depth = 0) {
+    return nodes.flatMap(({ token, children }) => {
+      switch (token.type) {
+        case 'heading_open':
+          return [`**${this.renderInlineNodes(children, { cell: true })}**`];
+        case 'paragraph_open':
+        case 'th_open':
+        case 'td_open':
+          return [this.renderInlineNodes(children, { cell: true })];
+        case 'list_item_open': {
+          const [first = '', ...rest] = this.flatten(children, depth + 1);
+          // Ordered items keep their number (`info`), bullets show the nesting
+          const marker = token.info ? `${token.info}${token.markup}` : depth > 1 ? '◦' : '•';
+          return [`${marker} ${first}`, ...rest];
+        }
+        case 'tr_open':
+          return [this.flatten(children, depth).join(' · ')];
+        case 'fence':
+        case 'code_block':
+          return token.content.trim().split('\n').map(line => {
+            const content = line.trim().replace(/\|/g, '\\|');
+            return `${this.fence(content, '`', 1)}${content}${this.fence(content, '`', 1)}`;
+          });
+        case 'hr':
+          return [];
+        default:
+          return this.flatten(children, token.type.endsWith('list_open') ? depth + 1 : depth);
+      }
+    });
+  }
+
+  /**
+   * Escape literal text so Markdown and MDX show it as written
+   */
+  escape(text, { cell = false, lineStart = false } = {}) {
+    let escaped = text
+      .replace(INLINE_SPECIAL, '\\$&')
+      // Underscores only start emphasis at word boundaries
+      .replace(/(^|[^\p{L}\p{N}])_|_(?=[^\p{L}\p{N}]|$)/gu, (match) => match.replace('_', '\\_'))
+      // Keep `&amp;` and similar from being read as character references
+      .replace(/&(?=#?\w+;)/g, '&amp;');
+
+    if (lineStart) {
+      escaped = escaped
+        .replace(LINE_START_SPECIAL, '$1\\$2')
+        .replace(ORDERED_LIST_MARKER, '$1$2\\$3');
+    }
+    if (cell) {
+      escaped = escaped.replace(/\|/g, '\\|');
+    }
+
+    return escaped;
+  }
+
+  /**
+   * Escape a link destination
+   */
+  escapeUrl(url = '') {
+    // encodeURIComponent() leaves parentheses alone
+    return url.replace(/[()\s<>]/g, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`);
+  }
+
+  /**
+   * A fence longer than any run of the fence character in the content
+   */
+  fence(content, char, minimum) {
+    const longest = Math.max(0, ...(content.match(new RegExp(`${char}+`, 'g')) || []).map(run => run.length));
+    return char.repeat(Math.max(minimum, longest + 1));
+  }
+}
+
+export default MarkdownRenderer;
@@ -0,0 +1,128 @@
+/**
+ * Operation Matcher for WP Engine Customer API Documentation
+ *
+ * Pairs operations that disappeared from a spec with operations that appeared
+ * in the new version, so a renamed path parameter (`{install_id}` to `{id}`)
+ * or a moved operation is reported as one change rather than a removal plus an
+ * addition. Operations are paired by operationId first, then by method and
+ * normalized path template.
+ *
+ * A pair is `renamed` when only names changed (path parameters, operationId)
+ * and `moved` when the method or the path itself changed. Only a changed
+ * method or path is visible to clients on the wire; parameter names and
+ * operationIds are not sent with requests, although generated SDKs that use
+ * them as argument or method names still change.
+ */
+
+/**
+ * Normalize a path template so paths differing only in parameter names match (`/sites/{}`)
+ */
+export function normalizePath(path) {
+  return path.replace(/\{[^}]+\}/g, '{}');
+}
+
+/**
+ * Pair removed and added operations and describe how each pair differs
+ */
+export class OperationMatcher {
+  constructor(removed, added) {
+    this.removed = removed;
+    this.added = added;
+  }
+
+  /**
+   * Find the pairs, operationId matches first. Every operation is used once.
+   */
+  match() {
+    const pairs = [];
+    const paired = new Set();
+    const strategies = [
+      ['operationId', (oldEndpoint, newEndpoint) => Boolean(oldEndpoint.operationId) && oldEndpoint.operationId === newEndpoint.operationId],
+      ['path', (oldEndpoint, newEndpoint) => oldEndpoint.method === newEndpoint.method
+        && normalizePath(oldEndpoint.path) === normalizePath(newEndpoint.path)]
+    ];
+
+    for (const [matchedBy, matches] of strategies) {
+      for (const oldEndpoint of this.removed) {
+        if (paired.has(oldEndpoint)) {
+          continue;
+        }
+
+        const newEndpoint = this.added.find(endpoint => !paired.has(endpoint) && matches(oldEndpoint, endpoint));
+        if (newEndpoint) {
+          paired.add(oldEndpoint).add(newEndpoint);
+          pairs.push({ oldEndpoint, newEndpoint, matchedBy, ...this.compare(oldEndpoint, newEndpoint) });
+        }
+      }
+    }
+
+    return pairs;
+  }
+
+  /**
+   * Describe the differences of a pair and whether clients see them
+   */
+  compare(oldEndpoint, newEndpoint) {
+    const differences = [];
+    const parameterRenames = this.getParameterRenames(oldEndpoint.path, newEndpoint.path);
+    const samePath = normalizePath(oldEndpoint.path) === normalizePath(newEndpoint.path);
+
+    if (oldEndpoint.method !== newEndpoint.method) {
+      differences.push({
+        aspect: 'method',
+        old: oldEndpoint.method,
+        new: newEndpoint.method,
+        description: `method changed from ${oldEndpoint.method} to ${newEndpoint.method}`
+      });
+    }
+
+    if (!samePath) {
+      differences.push({
+        aspect: 'path',
+        old: oldEndpoint.path,
+        new: newEndpoint.path,
+        description: `path changed from ${oldEndpoint.path} to ${newEndpoint.path}`
+      });
+    } else {
+      Object.entries(parameterRenames).forEach(([oldName, newName]) => differences.push({
+        aspect: 'pathParameter',
+        old: oldName,
+        new: newName,
+        description: `path parameter {${oldName}} renamed to {${newName}}`
+      }));
+    }
+
+    if ((oldEndpoint.operationId || null) !== (newEndpoint.operationId || null)) {
+      differences.push({
+        aspect: 'operationId',
+        old: oldEndpoint.operationId ?? null,
+        new: newEndpoint.operationId ?? null,
+        description: `operationId changed from ${oldEndpoint.operationId ?? 'none'} to ${newEndpoint.operationId ?? 'none'}`
+      });
+    }
+
+    const clientVisible = differences.some(difference => difference.aspect === 'method' || difference.aspect === 'path');
+
+    return {
+      kind: clientVisible ? 'moved' : 'renamed',
+      clientVisible,
+      differences,
+      // Only meaningful when the template is the same: old name -> new name, by position
+      parameterRenames: samePath ? parameterRenames : {}
+    };
+  }
+
+  /**
+   * Path parameters whose names differ between two templates, by position
+   */
+  getParameterRenames(oldPath, newPath) {
+    const names = (path) => (path.match(/\{[^}]+\}/g) || []).map(name => name.slice(1, -1));
+    const newNames = names(newPath);
+
+    return Object.fromEntries(names(oldPath)
+      .map((name, index) => [name, newNames[index]])
+      .filter(([oldName, newName]) => newName !== undefined && oldName !== newName));
+  }
+}
+
+export default OperationMatcher;
@@ -0,0 +1,151 @@
+/**
+ * Plugin Manager for WP Engine Customer API Documentation
+ *
+ * Loads generator plugins listed in `docs.config.js` and runs their lifecycle
+ * hooks in the order the plugins are listed:
+ *
+ * - `afterParse(data, context)`: adjust the parsed model before anything is
+ *   rendered; returning a value replaces the data.
+ * - `beforeRender(page, context)`: adjust `page.data` (or `page.filePath`) of a
+ *   page before it is rendered; returning `false` drops the page.
+ * - `afterWrite(page, context)`: called for every page with its write `status`.
+ * - `emit(context)`: write extra outputs through `context.emitPage()` and
+ *   `context.emitFile()`.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+export const HOOKS = ['afterParse', 'beforeRender', 'afterWrite', 'emit'];
+
+/**
+ * Import a module, bypassing the module cache when the file changed (watch mode)
+ */
+export async function importFresh(modulePath) {
+  const { mtimeMs } = await fs.stat(modulePath);
+  return import(`${pathToFileURL(modulePath).href}?v=${mtimeMs}`);
+}
+
+/**
+ * Load plugins and run their hooks
+ */
+export class PluginManager {
+  constructor() {
+    this.plugins = [];
+    this.sources = [];
+  }
+
+  /**
+   * Load plugins from their config entries: a module path, a `[path, options]`
+   * pair or an inline plugin object. A module default-exports either a plugin
+   * object or a factory that receives the options and returns one.
+   */
+  async load(entries = []) {
+    this.plugins = [];
+    this.sources = [];
+
+    for (const entry of entries) {
+      const [specifier, options] = Array.isArray(entry) ? entry : [entry, {}];
+
+      if (typeof specifier !== 'string') {
+        this.plugins.push(this.validate(specifier, 'inline plugin'));
+        continue;
+      }
+
+      const relativePath = path.relative(process.cwd(), specifier);
+      if (!await fs.pathExists(specifier)) {
+        throw new Error(`Plugin not found: ${relativePath}`);
+      }
+
+      this.sources.push(await fs.readFile(specifier, 'utf8'), options);
+
+      const module = await importFresh(specifier);
+      const exported = module.default ?? module;
+      const plugin = typeof exported === 'function' ? await exported(options) : exported;
+
+      this.plugins.push(this.validate(plugin, relativePath, path.basename(specifier, path.extname(specifier))));
+    }
+
+    return this.plugins;
+  }
+
+  /**
+   * Check a plugin's shape and give it a name
+   */
+  validate(plugin, origin, fallbackName = 'plugin') {
+    if (!plugin || typeof plugin !== 'object') {
+      throw new Error(`Plugin ${origin} must be an object or a function returning one`);
+    }
+
+    for (const hook of HOOKS) {
+      if (plugin[hook] !== undefined && typeof plugin[hook] !== 'function') {
+        throw new Error(`Plugin ${origin}: "${hook}" must be a function`);
+      }
+    }
+
+    if (!HOOKS.some(hook => plugin[hook])) {
+      throw new Error(`Plugin ${origin} does not implement any hook (${HOOKS.join(', ')})`);
+    }
+
+    return { name: fallbackName, ...plugin };
+  }
+
+  /**
+   * Run a hook on every plugin implementing it and return the results
+   */
+  async run(hook, ...args) {
+    const results = [];
+
+    for (const plugin of this.plugins.filter(plugin => plugin[hook])) {
+      results.push(await this.runOne(plugin, hook, ...args));
+    }
+
+    return results;
+  }
+
+  /**
+   * Run `afterParse`; each plugin may replace the data
+   */
+  async afterParse(data, context) {
+    let current = data;
+
+    for (const plugin of this.plugins.filter(plugin => plugin.afterParse)) {
+      const result = await this.runOne(plugin, 'afterParse', current, context);
+      if (result !== undefined) {
+        current = result;
+      }
+    }
+
+    return current;
+  }
+
+  /**
+   * Run `beforeRender`; returns false if any plugin dropped the page
+   */
+  async beforeRender(page, context) {
+    const results = await this.run('beforeRender', page, context);
+    return !results.includes(false);
+  }
+
+  /**
+   * Run a hook on a single plugin
+   */
+  async runOne(plugin, hook, ...args) {
+    try {
+      return await plugin[hook](...args);
+    } catch (error) {
+      error.message = `Plugin "${plugin.name}" failed in ${hook}: ${error.message}`;
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether any plugin implements a hook
+   */
+  has(hook) {
+    return this.plugins.some(plugin => plugin[hook]);
+  }
+}
+
+export default PluginManager;
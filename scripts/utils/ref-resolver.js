@@ -0,0 +1,130 @@
+/**
+ * Reference Resolver for WP Engine Customer API Documentation
+ *
+ * Resolves local JSON references (`$ref: '#/...'`) against the loaded OpenAPI
+ * specification. Handles parameter, response and schema references as well as
+ * chained references (a ref pointing at another ref).
+ */
+
+/**
+ * Resolve local JSON references within an OpenAPI specification
+ */
+export class RefResolver {
+  constructor(spec) {
+    this.spec = spec;
+  }
+
+  /**
+   * Check whether a value is a reference object
+   */
+  isRef(value) {
+    return value !== null && typeof value === 'object' && typeof value.$ref === 'string';
+  }
+
+  /**
+   * Get the component name a reference points at (e.g. `Installation`)
+   */
+  getRefName(ref) {
+    const segments = ref.split('/');
+    return this.decodePointerSegment(segments[segments.length - 1]);
+  }
+
+  /**
+   * Look up the target of a local JSON pointer reference
+   */
+  getByPointer(ref) {
+    if (!ref.startsWith('#')) {
+      throw new Error(`Unsupported external reference: ${ref}`);
+    }
+
+    const segments = ref
+      .slice(1)
+      .split('/')
+      .filter(segment => segment !== '')
+      .map(segment => this.decodePointerSegment(segment));
+
+    let target = this.spec;
+    for (const segment of segments) {
+      if (target === null || typeof target !== 'object' || !(segment in target)) {
+        throw new Error(`Unresolvable reference: ${ref}`);
+      }
+      target = target[segment];
+    }
+
+    return target;
+  }
+
+  /**
+   * Resolve a single object, following chained references.
+   * Sibling keys next to `$ref` override the resolved target (OpenAPI 3.1 semantics).
+   */
+  resolve(value) {
+    if (!this.isRef(value)) {
+      return value;
+    }
+
+    const seen = new Set();
+    let current = value;
+    let overrides = {};
+
+    while (this.isRef(current)) {
+      if (seen.has(current.$ref)) {
+        throw new Error(`Circular reference detected: ${[...seen, current.$ref].join(' -> ')}`);
+      }
+      seen.add(current.$ref);
+
+      const { $ref, ...siblings } = current;
+      overrides = { ...siblings, ...overrides };
+      current = this.getByPointer($ref);
+    }
+
+    if (Object.keys(overrides).length === 0) {
+      return current;
+    }
+
+    return { ...current, ...overrides };
+  }
+
+  /**
+   * Resolve every entry of an array (e.g. an operation's parameters)
+   */
+  resolveAll(values = []) {
+    return values.map(value => this.resolve(value));
+  }
+
+  /**
+   * Deeply dereference an object. References that would recurse into
+   * themselves are left in place so that callers can stop walking.
+   */
+  dereference(value, stack = []) {
+    if (Array.isArray(value)) {
+      return value.map(item => this.dereference(item, stack));
+    }
+
+    if (value === null || typeof value !== 'object') {
+      return value;
+    }
+
+    if (this.isRef(value)) {
+      if (stack.includes(value.$ref)) {
+        return value;
+      }
+      return this.dereference(this.resolve(value), [...stack, value.$ref]);
+    }
+
+    const result = {};
+    for (const [key, child] of Object.entries(value)) {
+      result[key] = this.dereference(child, stack);
+    }
+    return result;
+  }
+
+  /**
+   * Decode a single JSON pointer segment (RFC 6901)
+   */
+  decodePointerSegment(segment) {
+    return decodeURIComponent(segment).replace(/~1/g, '/').replace(/~0/g, '~');
+  }
+}
+
+export default RefResolver;
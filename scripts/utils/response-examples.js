@@ -5,48 +5,94 @@
  * Converts schema objects into properly formatted example responses.
  */
 
+import { RefResolver } from './ref-resolver.js';
+import { SpecAdapter } from './spec-adapter.js';
+import { SchemaComposer } from './schema-composer.js';
+
 /**
  * Generate response examples from OpenAPI schemas
  */
 export class ResponseExampleGenerator {
   constructor(spec) {
     this.spec = spec;
-    this.definitions = spec.definitions || {};
+    this.resolver = new RefResolver(spec);
+    this.adapter = new SpecAdapter(spec);
+    this.composer = new SchemaComposer(spec);
+    this.definitions = this.adapter.getSchemaDefinitions();
   }
 
   /**
-   * Generate example for a response schema
+   * Generate example for a response (Swagger 2.0 `schema` or OpenAPI 3.x `content`)
    */
   generateResponseExample(response) {
-    if (!response.schema) {
+    const schema = response.schema || this.adapter.getMediaTypeEntry(response.content)?.schema;
+
+    if (!schema) {
       return null;
     }
 
-    return this.generateFromSchema(response.schema);
+    return this.generateFromSchema(schema);
+  }
+
+  /**
+   * Generate one labelled example per `oneOf`/`anyOf`/discriminator variant
+   */
+  generateExampleVariants(schema) {
+    const seenRefs = schema?.$ref ? [schema.$ref] : [];
+    let resolved;
+
+    try {
+      resolved = this.composer.mergeAllOf(this.resolver.resolve(schema));
+    } catch (error) {
+      return [];
+    }
+
+    const composition = this.composer.getVariants(resolved, seenRefs);
+    if (!composition) {
+      return [];
+    }
+
+    return composition.variants.map(option => ({
+      label: option.label,
+      example: this.generateFromSchema(option.schema, seenRefs)
+    }));
   }
 
   /**
    * Generate example from schema definition
    */
-  generateFromSchema(schema) {
+  generateFromSchema(schema, seenRefs = []) {
     if (!schema) return null;
 
-    // Handle $ref references
+    // Handle $ref references (#/definitions/..., #/components/schemas/...)
     if (schema.$ref) {
-      const refName = schema.$ref.replace('#/definitions/', '');
-      const definition = this.definitions[refName];
-      if (definition) {
-        return this.generateFromSchema(definition);
+      if (seenRefs.includes(schema.$ref)) {
+        return null;
+      }
+
+      try {
+        return this.generateFromSchema(this.resolver.resolve(schema), [...seenRefs, schema.$ref]);
+      } catch (error) {
+        return null;
       }
-      return null;
     }
 
+    schema = this.composer.mergeAllOf(schema);
+
+    // Polymorphic schemas use their first variant
+    const composition = this.composer.getVariants(schema, seenRefs);
+    if (composition) {
+      return this.generateFromSchema(composition.variants[0].schema, seenRefs);
+    }
+
+    schema = this.adapter.normalizeSchema(schema);
+
     // Handle different schema types
     switch (schema.type) {
       case 'object':
-        return this.generateObjectExample(schema);
+        return this.generateObjectExample(schema, seenRefs);
       case 'array':
-        return this.generateArrayExample(schema);
+        return this.generateArrayExample(schema, seenRefs);
       case 'string':
         return this.generateStringExample(schema);
       case 'integer':
@@ -62,17 +108,17 @@ export class ResponseExampleGenerator {
   /**
    * Generate object example
    */
-  generateObjectExample(schema) {
+  generateObjectExample(schema, seenRefs = []) {
     const obj = {};
     
     if (schema.properties) {
       for (const [propName, propSchema] of Object.entries(schema.properties)) {
         // Skip nullable properties that aren't required
-        if (propSchema['x-nullable'] && !this.isRequired(schema, propName)) {
+        if (this.adapter.normalizeSchema(propSchema).nullable && !this.isRequired(schema, propName)) {
           continue;
         }
         
-        obj[propName] = this.generateFromSchema(propSchema);
+        obj[propName] = this.generateFromSchema(propSchema, seenRefs);
       }
     }
 
@@ -82,9 +128,9 @@ export class ResponseExampleGenerator {
   /**
    * Generate array example
    */
-  generateArrayExample(schema) {
+  generateArrayExample(schema, seenRefs = []) {
     if (schema.items) {
-      const itemExample = this.generateFromSchema(schema.items);
+      const itemExample = this.generateFromSchema(schema.items, seenRefs);
       // Return array with 1-2 example items
       return itemExample ? [itemExample] : [];
     }
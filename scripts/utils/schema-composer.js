@@ -0,0 +1,230 @@
+/**
+ * Schema Composer for WP Engine Customer API Documentation
+ *
+ * Flattens `allOf` compositions and expands `oneOf` / `anyOf` / `discriminator`
+ * polymorphism into labelled variants, so schema walkers (property tables and
+ * example generators) only ever have to deal with plain object schemas.
+ */
+
+import { RefResolver } from './ref-resolver.js';
+
+/**
+ * Resolve schema composition keywords
+ */
+export class SchemaComposer {
+  constructor(spec) {
+    this.spec = spec;
+    this.resolver = new RefResolver(spec);
+  }
+
+  /**
+   * Merge an `allOf` composition into a single schema.
+   * Properties and `required` lists are combined; keywords on the composing
+   * schema itself win over those of its members. `allOfChain` guards against
+   * schemas that (transitively) include themselves.
+   */
+  mergeAllOf(schema, allOfChain = []) {
+    if (!schema || !Array.isArray(schema.allOf)) {
+      return schema;
+    }
+
+    const { allOf, ...own } = schema;
+    const merged = { properties: {}, required: [] };
+
+    for (const member of allOf) {
+      if (member.$ref && allOfChain.includes(member.$ref)) {
+        continue;
+      }
+
+      const memberChain = member.$ref ? [...allOfChain, member.$ref] : allOfChain;
+      const resolved = this.mergeAllOf(this.resolver.resolve(member), memberChain);
+      this.mergeInto(merged, resolved, true);
+    }
+
+    this.mergeInto(merged, own, false);
+
+    if (Object.keys(merged.properties).length === 0) {
+      delete merged.properties;
+    }
+    if (merged.required.length === 0) {
+      delete merged.required;
+    }
+    if (!merged.type && merged.properties) {
+      merged.type = 'object';
+    }
+
+    return merged;
+  }
+
+  /**
+   * Merge one schema's keywords into an accumulated allOf result.
+   * A member's discriminator is not inherited: a schema extending a
+   * polymorphic base is itself a concrete variant.
+   */
+  mergeInto(target, source, isMember) {
+    for (const [key, value] of Object.entries(source || {})) {
+      if (isMember && key === 'discriminator') {
+        continue;
+      } else if (key === 'properties') {
+        Object.assign(target.properties, value);
+      } else if (key === 'required') {
+        value.forEach(name => {
+          if (!target.required.includes(name)) {
+            target.required.push(name);
+          }
+        });
+      } else if (isMember && key === 'description' && target.description) {
+        // The first member's description wins unless the composing schema has its own
+        continue;
+      } else {
+        target[key] = value;
+      }
+    }
+  }
+
+  /**
+   * Check whether a schema describes alternative shapes
+   */
+  hasVariants(schema) {
+    return Boolean(schema && (schema.oneOf || schema.anyOf || this.getDiscriminatorProperty(schema)));
+  }
+
+  /**
+   * Get the discriminator property name (OpenAPI 3 object or Swagger 2.0 string)
+   */
+  getDiscriminatorProperty(schema) {
+    if (!schema?.discriminator) {
+      return null;
+    }
+
+    return typeof schema.discriminator === 'string'
+      ? schema.discriminator
+      : schema.discriminator.propertyName;
+  }
+
+  /**
+   * Expand a polymorphic schema into labelled variants.
+   *
+   * Returns `{ keyword, discriminator, variants: [{ label, schema, discriminatorValue }] }`
+   * or null when the schema is not polymorphic. Variant schemas are resolved and
+   * have their `allOf` merged.
+   */
+  getVariants(schema, seenRefs = []) {
+    if (!this.hasVariants(schema)) {
+      return null;
+    }
+
+    const keyword = schema.oneOf ? 'oneOf' : schema.anyOf ? 'anyOf' : 'discriminator';
+    const propertyName = this.getDiscriminatorProperty(schema);
+    const mapping = typeof schema.discriminator === 'object' ? schema.discriminator.mapping || {} : {};
+    const members = schema.oneOf || schema.anyOf || this.findDiscriminatedMembers(schema, mapping);
+
+    const base = { ...schema };
+    delete base.oneOf;
+    delete base.anyOf;
+    delete base.discriminator;
+    const variants = [];
+
+    members.forEach((member, index) => {
+      if (member.$ref && seenRefs.includes(member.$ref)) {
+        return;
+      }
+
+      const mappedValue = member.$ref
+        ? Object.keys(mapping).find(key => mapping[key] === member.$ref || mapping[key] === this.resolver.getRefName(member.$ref))
+        : undefined;
+      const refName = member.$ref ? this.resolver.getRefName(member.$ref) : undefined;
+      const memberChain = member.$ref ? [member.$ref] : [];
+
+      let variantSchema = this.mergeAllOf(this.resolver.resolve(member), memberChain);
+      if (keyword !== 'discriminator' && (base.properties || base.allOf)) {
+        variantSchema = this.mergeAllOf({ allOf: [base, variantSchema] }, memberChain);
+      }
+
+      const discriminatorValue = propertyName ? (mappedValue ?? refName) : undefined;
+      if (propertyName && discriminatorValue !== undefined) {
+        variantSchema = this.pinDiscriminator(variantSchema, propertyName, discriminatorValue);
+      }
+
+      variants.push({
+        label: mappedValue ?? refName ?? variantSchema.title ?? `Option ${index + 1}`,
+        schema: variantSchema,
+        discriminatorValue
+      });
+    });
+
+    if (variants.length === 0) {
+      return null;
+    }
+
+    return {
+      keyword,
+      discriminator: propertyName,
+      variants
+    };
+  }
+
+  /**
+   * Find the members of a discriminated base schema that declares no oneOf/anyOf:
+   * explicit mapping targets first, otherwise every definition extending it via allOf
+   */
+  findDiscriminatedMembers(schema, mapping) {
+    const mapped = Object.values(mapping).map(target => ({
+      $ref: target.startsWith('#') ? target : this.getSchemaRefPrefix() + target
+    }));
+
+    if (mapped.length > 0) {
+      return mapped;
+    }
+
+    const baseName = schema.title;
+    const definitions = this.getNamedSchemas();
+    const members = [];
+
+    for (const [name, definition] of Object.entries(definitions)) {
+      const extendsBase = (definition.allOf || []).some(member => {
+        if (!member.$ref) return false;
+        return this.resolver.resolve(member) === schema
+          || (baseName && this.resolver.getRefName(member.$ref) === baseName);
+      });
+
+      if (extendsBase) {
+        members.push({ $ref: `${this.getSchemaRefPrefix()}${name}` });
+      }
+    }
+
+    return members;
+  }
+
+  /**
+   * Force the discriminator property of a variant to its mapped value
+   */
+  pinDiscriminator(schema, propertyName, value) {
+    const properties = { ...(schema.properties || {}) };
+    const current = this.resolver.resolve(properties[propertyName]) || { type: 'string' };
+
+    properties[propertyName] = {
+      ...current,
+      enum: [value],
+      example: value
+    };
+
+    return { ...schema, properties };
+  }
+
+  /**
+   * Get named schema definitions for the current document layout
+   */
+  getNamedSchemas() {
+    return this.spec.components?.schemas || this.spec.definitions || {};
+  }
+
+  /**
+   * Get the JSON pointer prefix for named schemas
+   */
+  getSchemaRefPrefix() {
+    return this.spec.components?.schemas ? '#/components/schemas/' : '#/definitions/';
+  }
+}
+
+export default SchemaComposer;
@@ -0,0 +1,232 @@
+/**
+ * Schema Diff for WP Engine Customer API Documentation
+ *
+ * Compares the named schemas of two versions of a specification, whether they
+ * live in Swagger 2.0 `definitions` or OpenAPI 3.x `components.schemas`, and
+ * describes every difference at property level (`domains[].name: type changed
+ * from string to integer`). References are followed, so a schema whose nested
+ * definition changed is reported as changed too.
+ */
+
+import { RefResolver } from './ref-resolver.js';
+import { SchemaComposer } from './schema-composer.js';
+import { encodePointer } from './breaking-changes.js';
+
+// Keywords compared on every schema (properties, items and required lists are walked separately)
+const KEYWORDS = [
+  'type', 'format', 'enum', 'default', 'nullable', 'x-nullable', 'readOnly', 'writeOnly',
+  'minLength', 'maxLength', 'pattern', 'minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum',
+  'multipleOf', 'minItems', 'maxItems', 'uniqueItems', 'minProperties', 'maxProperties',
+  'description', 'title', 'example'
+];
+
+/**
+ * Get the named schemas of a spec and the pointer of their container
+ */
+export function getNamedSchemas(spec) {
+  if (spec?.openapi) {
+    return { schemas: spec.components?.schemas || {}, pointer: encodePointer('components', 'schemas') };
+  }
+  return { schemas: spec?.definitions || {}, pointer: encodePointer('definitions') };
+}
+
+/**
+ * Compare schemas of two spec versions property by property
+ */
+export class SchemaDiff {
+  constructor(oldSpec, newSpec) {
+    this.old = this.createSide(oldSpec);
+    this.new = this.createSide(newSpec);
+    this.cache = new Map();
+  }
+
+  /**
+   * Resolution helpers for one version of the spec
+   */
+  createSide(spec) {
+    return {
+      spec,
+      resolver: new RefResolver(spec),
+      composer: new SchemaComposer(spec),
+      ...getNamedSchemas(spec)
+    };
+  }
+
+  /**
+   * Compare the named schemas. Returns the added and removed names and, for
+   * every changed schema, its property-level differences.
+   */
+  compareNamedSchemas() {
+    const oldNames = Object.keys(this.old.schemas);
+    const newNames = Object.keys(this.new.schemas);
+
+    return {
+      added: newNames.filter(name => !oldNames.includes(name)),
+      removed: oldNames.filter(name => !newNames.includes(name)),
+      modified: newNames
+        .filter(name => oldNames.includes(name))
+        .map(name => ({ name, pointer: `${this.new.pointer}${encodePointer(name)}`, changes: this.diffNamedSchema(name) }))
+        .filter(schema => schema.changes.length > 0)
+    };
+  }
+
+  /**
+   * Property-level differences of one named schema (cached, as schemas are shared)
+   */
+  diffNamedSchema(name) {
+    if (!this.cache.has(name)) {
+      this.cache.set(name, this.diff(
+        { value: this.old.schemas[name], pointer: `${this.old.pointer}${encodePointer(name)}` },
+        { value: this.new.schemas[name], pointer: `${this.new.pointer}${encodePointer(name)}` }
+      ));
+    }
+    return this.cache.get(name);
+  }
+
+  /**
+   * Differences between two schemas given with their JSON pointers
+   */
+  diff(oldSchema, newSchema, property = '', seen = new Set()) {
+    const oldResolved = this.resolve(this.old, oldSchema);
+    const newResolved = this.resolve(this.new, newSchema);
+    const pairKey = `${oldResolved.pointer}|${newResolved.pointer}`;
+
+    if (seen.has(pairKey)) {
+      return [];
+    }
+    seen = new Set([...seen, pairKey]);
+
+    const oldValue = oldResolved.value || {};
+    const newValue = newResolved.value || {};
+    const changes = [];
+    const change = (entry) => changes.push({ property: property || '(root)', ...entry });
+
+    for (const keyword of KEYWORDS) {
+      if (JSON.stringify(oldValue[keyword]) !== JSON.stringify(newValue[keyword])) {
+        change({
+          change: 'changed',
+          keyword,
+          pointer: `${newResolved.pointer}${encodePointer(keyword)}`,
+          old: oldValue[keyword] ?? null,
+          new: newValue[keyword] ?? null
+        });
+      }
+    }
+
+    const oldProperties = oldValue.properties || {};
+    const newProperties = newValue.properties || {};
+    const oldRequired = Array.isArray(oldValue.required) ? oldValue.required : [];
+    const newRequired = Array.isArray(newValue.required) ? newValue.required : [];
+    const child = (name) => (property ? `${property}.${name}` : name);
+
+    for (const name of Object.keys(oldProperties)) {
+      if (!(name in newProperties)) {
+        changes.push({
+          property: child(name),
+          change: 'removed',
+          pointer: `${oldResolved.pointer}${encodePointer('properties', name)}`,
+          old: this.describe(this.old, oldProperties[name]),
+          new: null
+        });
+      }
+    }
+
+    for (const [name, schema] of Object.entries(newProperties)) {
+      const pointer = `${newResolved.pointer}${encodePointer('properties', name)}`;
+
+      if (!(name in oldProperties)) {
+        changes.push({ property: child(name), change: 'added', pointer, old: null, new: this.describe(this.new, schema) });
+        continue;
+      }
+
+      if (oldRequired.includes(name) !== newRequired.includes(name)) {
+        changes.push({
+          property: child(name),
+          change: 'changed',
+          keyword: 'required',
+          pointer: `${newResolved.pointer}/required`,
+          old: oldRequired.includes(name),
+          new: newRequired.includes(name)
+        });
+      }
+
+      changes.push(...this.diff(
+        { value: oldProperties[name], pointer: `${oldResolved.pointer}${encodePointer('properties', name)}` },
+        { value: schema, pointer },
+        child(name),
+        seen
+      ));
+    }
+
+    if (oldValue.items || newValue.items) {
+      if (oldValue.items && newValue.items) {
+        changes.push(...this.diff(
+          { value: oldValue.items, pointer: `${oldResolved.pointer}/items` },
+          { value: newValue.items, pointer: `${newResolved.pointer}/items` },
+          `${property}[]`,
+          seen
+        ));
+      } else {
+        change({
+          change: 'changed',
+          keyword: 'items',
+          pointer: `${newResolved.pointer}/items`,
+          old: this.describe(this.old, oldValue.items),
+          new: this.describe(this.new, newValue.items)
+        });
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Names of the named schemas a value references, directly or through other schemas
+   */
+  referencedSchemas(side, value, names = new Set()) {
+    if (Array.isArray(value)) {
+      value.forEach(item => this.referencedSchemas(side, item, names));
+    } else if (value && typeof value === 'object') {
+      if (side.resolver.isRef(value) && value.$ref.startsWith(`#${side.pointer}/`)) {
+        const name = side.resolver.getRefName(value.$ref);
+        if (!names.has(name)) {
+          names.add(name);
+          this.referencedSchemas(side, side.schemas[name], names);
+        }
+      }
+      Object.values(value).forEach(child => this.referencedSchemas(side, child, names));
+    }
+    return names;
+  }
+
+  /**
+   * Follow a reference (the pointer moves to its target) and merge `allOf`
+   */
+  resolve(side, { value, pointer }) {
+    const resolvedPointer = side.resolver.isRef(value) && value.$ref.startsWith('#') ? value.$ref.slice(1) : pointer;
+
+    try {
+      return { value: side.composer.mergeAllOf(side.resolver.resolve(value)), pointer: resolvedPointer };
+    } catch {
+      return { value: null, pointer: resolvedPointer };
+    }
+  }
+
+  /**
+   * Short description of a schema for added and removed properties (`string (uuid)`, `Domain`)
+   */
+  describe(side, schema) {
+    if (!schema) {
+      return null;
+    }
+    if (side.resolver.isRef(schema)) {
+      return side.resolver.getRefName(schema.$ref);
+    }
+    if (schema.type === 'array') {
+      return `array of ${this.describe(side, schema.items) || 'items'}`;
+    }
+    return [schema.type || 'object', schema.format && `(${schema.format})`].filter(Boolean).join(' ');
+  }
+}
+
+export default SchemaDiff;
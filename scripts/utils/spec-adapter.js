@@ -0,0 +1,236 @@
+/**
+ * Spec Adapter for WP Engine Customer API Documentation
+ *
+ * Smooths over the differences between Swagger 2.0 and OpenAPI 3.0/3.1 documents
+ * so the parser and example generators can work with a single normalized model.
+ */
+
+const JSON_MEDIA_TYPE = 'application/json';
+
+const CONSTRAINT_KEYWORDS = [
+  'minLength', 'maxLength', 'pattern',
+  'minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum', 'multipleOf',
+  'minItems', 'maxItems', 'uniqueItems',
+  'minProperties', 'maxProperties',
+  'readOnly', 'writeOnly', 'nullable'
+];
+
+/**
+ * Normalize version-specific OpenAPI constructs
+ */
+export class SpecAdapter {
+  constructor(spec) {
+    this.spec = spec || {};
+  }
+
+  /**
+   * Check if the document is OpenAPI 3.x
+   */
+  isOpenAPI3() {
+    return typeof this.spec.openapi === 'string' && this.spec.openapi.startsWith('3.');
+  }
+
+  /**
+   * Check if the document is OpenAPI 3.1 (full JSON Schema 2020-12 dialect)
+   */
+  isOpenAPI31() {
+    return this.isOpenAPI3() && this.spec.openapi.startsWith('3.1');
+  }
+
+  /**
+   * Get the specification format version (e.g. `2.0`, `3.0.3`, `3.1.0`)
+   */
+  getVersion() {
+    return this.spec.openapi || this.spec.swagger;
+  }
+
+  /**
+   * Get server definitions, deriving them from host/basePath/schemes for Swagger 2.0
+   */
+  getServers() {
+    if (Array.isArray(this.spec.servers) && this.spec.servers.length > 0) {
+      return this.spec.servers.map(server => ({
+        url: this.expandServerUrl(server),
+        description: server.description || ''
+      }));
+    }
+
+    if (this.spec.host) {
+      const schemes = this.spec.schemes?.length ? this.spec.schemes : ['https'];
+      return schemes.map(scheme => ({
+        url: `${scheme}://${this.spec.host}${this.spec.basePath || ''}`,
+        description: ''
+      }));
+    }
+
+    return [{ url: this.spec.basePath || '/', description: '' }];
+  }
+
+  /**
+   * Get the base URL used for code examples
+   */
+  getBaseUrl() {
+    return this.getServers()[0].url.replace(/\/+$/, '');
+  }
+
+  /**
+   * Substitute server variables with their default values
+   */
+  expandServerUrl(server) {
+    const variables = server.variables || {};
+    return server.url.replace(/\{([^}]+)\}/g, (match, name) => {
+      return variables[name]?.default ?? match;
+    });
+  }
+
+  /**
+   * Get the named schema definitions (`definitions` or `components.schemas`)
+   */
+  getSchemaDefinitions() {
+    return {
+      ...(this.spec.definitions || {}),
+      ...(this.spec.components?.schemas || {})
+    };
+  }
+
+  /**
+   * Pick the preferred media type entry from an OpenAPI 3 `content` map.
+   * JSON is preferred, followed by any `+json` structured syntax, then the first entry.
+   */
+  getMediaTypeEntry(content) {
+    if (!content || typeof content !== 'object') {
+      return null;
+    }
+
+    const mediaTypes = Object.keys(content);
+    if (mediaTypes.length === 0) {
+      return null;
+    }
+
+    const mediaType = mediaTypes.find(type => type === JSON_MEDIA_TYPE)
+      || mediaTypes.find(type => /[/+]json\b/.test(type))
+      || mediaTypes[0];
+
+    const entry = content[mediaType] || {};
+
+    return {
+      mediaType,
+      schema: entry.schema,
+      example: entry.example,
+      examples: entry.examples
+    };
+  }
+
+  /**
+   * Get the schema-like portion of a parameter.
+   * OpenAPI 3 nests type information under `schema`, Swagger 2.0 keeps it inline.
+   */
+  getParameterSchema(param) {
+    if (param.schema && param.in !== 'body') {
+      return this.normalizeSchema(param.schema);
+    }
+
+    return this.normalizeSchema(param);
+  }
+
+  /**
+   * Normalize a single schema level:
+   * - OpenAPI 3.1 `type: ['string', 'null']` becomes `type: 'string'` + `nullable: true`
+   * - OpenAPI 3.0 `nullable` and Swagger `x-nullable` are folded into `nullable`
+   * - OpenAPI 3.1 `examples` arrays and `const` provide an `example`
+   */
+  normalizeSchema(schema) {
+    if (!schema || typeof schema !== 'object') {
+      return schema;
+    }
+
+    const normalized = { ...schema };
+    let nullable = schema.nullable === true || schema['x-nullable'] === true;
+
+    if (Array.isArray(schema.type)) {
+      const types = schema.type.filter(type => type !== 'null');
+      nullable = nullable || types.length !== schema.type.length;
+      normalized.type = types[0];
+      if (types.length > 1) {
+        normalized.types = types;
+      }
+    }
+
+    if (schema.const !== undefined) {
+      normalized.enum = normalized.enum || [schema.const];
+      if (normalized.example === undefined) {
+        normalized.example = schema.const;
+      }
+    }
+
+    if (normalized.example === undefined && Array.isArray(schema.examples) && schema.examples.length > 0) {
+      normalized.example = schema.examples[0];
+    }
+
+    if (normalized.type === undefined) {
+      if (schema.properties) {
+        normalized.type = 'object';
+      } else if (schema.items) {
+        normalized.type = 'array';
+      }
+    }
+
+    if (nullable) {
+      normalized.nullable = true;
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Extract validation constraints from a normalized schema.
+   * Only keywords present on the schema are returned. Swagger 2.0 / OpenAPI 3.0
+   * boolean `exclusiveMinimum`/`exclusiveMaximum` are converted to the numeric
+   * OpenAPI 3.1 form, and dropped when the matching bound is missing.
+   */
+  getConstraints(schema) {
+    if (!schema || typeof schema !== 'object') {
+      return {};
+    }
+
+    const constraints = {};
+
+    for (const keyword of CONSTRAINT_KEYWORDS) {
+      if (schema[keyword] !== undefined && schema[keyword] !== false) {
+        constraints[keyword] = schema[keyword];
+      }
+    }
+
+    // A boolean flag without its bound has nothing to make exclusive
+    for (const [flag, bound] of [['exclusiveMinimum', 'minimum'], ['exclusiveMaximum', 'maximum']]) {
+      if (schema[flag] !== true) {
+        continue;
+      }
+      delete constraints[flag];
+      if (schema[bound] !== undefined) {
+        constraints[flag] = schema[bound];
+        delete constraints[bound];
+      }
+    }
+
+    return constraints;
+  }
+
+  /**
+   * Get the first example value from an OpenAPI 3 `examples` map
+   */
+  getFirstExampleValue(examples) {
+    if (!examples || typeof examples !== 'object') {
+      return undefined;
+    }
+
+    const first = Object.values(examples)[0];
+    if (first && typeof first === 'object' && 'value' in first) {
+      return first.value;
+    }
+
+    return first;
+  }
+}
+
+export default SpecAdapter;
@@ -0,0 +1,279 @@
+/**
+ * Spec Bundler for WP Engine Customer API Documentation
+ *
+ * Loads a (possibly multi-file) OpenAPI specification and produces a single
+ * self-contained document. Relative-file `$ref`s (`paths/installs.yaml`,
+ * `definitions/Domain.yaml#/Domain`) are followed; schemas are hoisted into
+ * `definitions` (Swagger 2.0) or `components.schemas` (OpenAPI 3.x) and
+ * everything else is inlined. Local refs into the root document are kept.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import yaml from 'js-yaml';
+
+const SCHEMA_KEYS = ['schema', 'items', 'additionalProperties', 'not', 'contains', 'propertyNames'];
+const SCHEMA_MAP_KEYS = ['properties', 'patternProperties', 'allOf', 'oneOf', 'anyOf', 'prefixItems', '$defs'];
+
+/**
+ * Bundle a multi-file OpenAPI specification into one document
+ */
+export class SpecBundler {
+  constructor(rootPath) {
+    this.rootPath = path.resolve(rootPath);
+    this.documents = new Map();
+    this.root = null;
+    this.hoisted = new Map();
+    this.hoistedNames = new Set();
+    this.hoistedTargets = new Map();
+    this.rootSchemaTargets = new Map();
+    this.schemaContainer = null;
+  }
+
+  /**
+   * Bundle the specification and return the resulting document
+   */
+  bundle() {
+    this.root = this.loadDocument(this.rootPath);
+
+    if (!this.root || typeof this.root !== 'object') {
+      return this.root;
+    }
+
+    this.schemaContainer = this.root.openapi ? ['components', 'schemas'] : ['definitions'];
+    this.registerRootSchemas();
+
+    const bundled = this.walk(this.root, this.rootPath, [], []);
+
+    if (this.hoisted.size > 0) {
+      const container = this.ensureContainer(bundled);
+      for (const [name, schema] of this.hoisted) {
+        container[name] = schema;
+      }
+    }
+
+    return bundled;
+  }
+
+  /**
+   * Load and cache a YAML or JSON document
+   */
+  loadDocument(filePath) {
+    if (!this.documents.has(filePath)) {
+      if (!fs.existsSync(filePath)) {
+        throw new Error(`Referenced file not found: ${path.relative(process.cwd(), filePath)}`);
+      }
+
+      const content = fs.readFileSync(filePath, 'utf8');
+      this.documents.set(filePath, yaml.load(content));
+    }
+
+    return this.documents.get(filePath);
+  }
+
+  /**
+   * Map root schema entries that are themselves external refs onto their
+   * internal pointer, so other files referencing the same target link to them.
+   */
+  registerRootSchemas() {
+    const container = this.getContainer(this.root) || {};
+
+    for (const [name, schema] of Object.entries(container)) {
+      this.hoistedNames.add(name);
+
+      if (schema && typeof schema.$ref === 'string' && !schema.$ref.startsWith('#')) {
+        const target = this.parseRef(schema.$ref, this.rootPath);
+        this.rootSchemaTargets.set(target.key, this.internalPointer(name));
+      }
+    }
+  }
+
+  /**
+   * Recursively copy a node, rewriting references as we go
+   */
+  walk(node, file, keyPath, stack) {
+    if (Array.isArray(node)) {
+      return node.map((item, index) => this.walk(item, file, [...keyPath, index], stack));
+    }
+
+    if (node === null || typeof node !== 'object') {
+      return node;
+    }
+
+    if (typeof node.$ref === 'string') {
+      return this.walkRef(node, file, keyPath, stack);
+    }
+
+    const result = {};
+    for (const [key, child] of Object.entries(node)) {
+      result[key] = this.walk(child, file, [...keyPath, key], stack);
+    }
+    return result;
+  }
+
+  /**
+   * Rewrite a single reference object
+   */
+  walkRef(node, file, keyPath, stack) {
+    const { $ref, ...siblings } = node;
+    const target = this.parseRef($ref, file);
+    const extra = this.walk(siblings, file, keyPath, stack);
+
+    // References into the root document stay local
+    if (target.file === this.rootPath) {
+      return { $ref: `#${target.pointer}`, ...extra };
+    }
+
+    const rootSchemaPointer = this.rootSchemaTargets.get(target.key);
+    if (rootSchemaPointer && !this.isRootSchemaEntry(keyPath)) {
+      return { $ref: rootSchemaPointer, ...extra };
+    }
+
+    if (this.isSchemaContext(keyPath) && !this.isRootSchemaEntry(keyPath)) {
+      return { $ref: this.hoistSchema(target, stack), ...extra };
+    }
+
+    if (stack.includes(target.key)) {
+      throw new Error(`Circular $ref detected: ${[...stack, target.key].map(key => this.describeKey(key)).join(' -> ')}`);
+    }
+
+    const value = this.resolvePointer(this.loadDocument(target.file), target.pointer, $ref);
+    const inlined = this.walk(value, target.file, keyPath, [...stack, target.key]);
+
+    if (inlined && typeof inlined === 'object' && !Array.isArray(inlined)) {
+      return { ...inlined, ...extra };
+    }
+    return inlined;
+  }
+
+  /**
+   * Hoist an external schema into the root schema container and return its pointer.
+   * The name is registered before walking so recursive schemas resolve to themselves.
+   */
+  hoistSchema(target, stack) {
+    if (this.hoistedTargets.has(target.key)) {
+      return this.hoistedTargets.get(target.key);
+    }
+
+    const name = this.uniqueSchemaName(target);
+    const pointer = this.internalPointer(name);
+    this.hoistedTargets.set(target.key, pointer);
+    this.hoistedNames.add(name);
+
+    const value = this.resolvePointer(this.loadDocument(target.file), target.pointer, target.key);
+    this.hoisted.set(name, this.walk(value, target.file, [...this.schemaContainer, name], [...stack, target.key]));
+
+    return pointer;
+  }
+
+  /**
+   * Split a `$ref` into an absolute file path and JSON pointer
+   */
+  parseRef(ref, fromFile) {
+    if (/^[a-z][a-z0-9+.-]*:\/\//i.test(ref)) {
+      throw new Error(`Remote references are not supported: ${ref}`);
+    }
+
+    const hashIndex = ref.indexOf('#');
+    const filePart = hashIndex === -1 ? ref : ref.slice(0, hashIndex);
+    const pointer = hashIndex === -1 ? '' : ref.slice(hashIndex + 1);
+    const file = filePart ? path.resolve(path.dirname(fromFile), filePart) : fromFile;
+
+    return { file, pointer, key: `${file}#${pointer}` };
+  }
+
+  /**
+   * Look up a JSON pointer inside a loaded document
+   */
+  resolvePointer(document, pointer, ref) {
+    const segments = pointer
+      .split('/')
+      .filter(segment => segment !== '')
+      .map(segment => decodeURIComponent(segment).replace(/~1/g, '/').replace(/~0/g, '~'));
+
+    let target = document;
+    for (const segment of segments) {
+      if (target === null || typeof target !== 'object' || !(segment in target)) {
+        throw new Error(`Unresolvable reference: ${ref}`);
+      }
+      target = target[segment];
+    }
+
+    return target;
+  }
+
+  /**
+   * Check whether a key path points at a schema position
+   */
+  isSchemaContext(keyPath) {
+    const last = keyPath[keyPath.length - 1];
+    const parent = keyPath[keyPath.length - 2];
+
+    return SCHEMA_KEYS.includes(last)
+      || SCHEMA_MAP_KEYS.includes(parent)
+      || this.isRootSchemaEntry(keyPath);
+  }
+
+  /**
+   * Check whether a key path is a named entry of the root schema container
+   */
+  isRootSchemaEntry(keyPath) {
+    return keyPath.length === this.schemaContainer.length + 1
+      && this.schemaContainer.every((key, index) => keyPath[index] === key);
+  }
+
+  /**
+   * Pick an unused name for a hoisted schema
+   */
+  uniqueSchemaName(target) {
+    const segments = target.pointer.split('/').filter(Boolean);
+    const base = segments.length > 0
+      ? segments[segments.length - 1]
+      : path.basename(target.file, path.extname(target.file));
+
+    let name = base;
+    let counter = 2;
+    while (this.hoistedNames.has(name)) {
+      name = `${base}${counter}`;
+      counter++;
+    }
+
+    return name;
+  }
+
+  /**
+   * Build a local pointer into the schema container
+   */
+  internalPointer(name) {
+    return `#/${this.schemaContainer.join('/')}/${name.replace(/~/g, '~0').replace(/\//g, '~1')}`;
+  }
+
+  /**
+   * Get the schema container of a document
+   */
+  getContainer(document) {
+    return this.schemaContainer.reduce((node, key) => node?.[key], document);
+  }
+
+  /**
+   * Get (creating if necessary) the schema container of a document
+   */
+  ensureContainer(document) {
+    let node = document;
+    for (const key of this.schemaContainer) {
+      node[key] = node[key] || {};
+      node = node[key];
+    }
+    return node;
+  }
+
+  /**
+   * Describe a target key relative to the working directory for error messages
+   */
+  describeKey(key) {
+    const [file, pointer] = key.split('#');
+    return `${path.relative(process.cwd(), file)}${pointer ? `#${pointer}` : ''}`;
+  }
+}
+
+export default SpecBundler;
@@ -0,0 +1,162 @@
+/**
+ * Breaking Change Suppressions for WP Engine Customer API Documentation
+ *
+ * Reads the checked-in list of accepted breaking changes (for example the
+ * announced removal of a deprecated endpoint) so they stop failing every
+ * change detection run. Each suppression names a rule and narrows it down to
+ * an operation (`METHOD /path` or an operationId), a JSON pointer, or both,
+ * and carries a justification and an expiry date:
+ *
+ *   suppressions:
+ *     - rule: removed_endpoint
+ *       operation: GET /status
+ *       expires: 2026-12-31
+ *       justification: Deprecated since 1.4, removal announced in the changelog
+ *
+ * A pointer also matches everything below it. Expired suppressions no longer
+ * apply; they and suppressions that matched nothing are reported so the list
+ * stays short.
+ */
+
+import fs from 'fs';
+import yaml from 'js-yaml';
+import { RULES, DETECTOR_RULES } from './breaking-changes.js';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Validated list of accepted breaking changes
+ */
+export class SuppressionList {
+  constructor(entries = [], { source = null, today = new Date().toISOString().slice(0, 10) } = {}) {
+    this.source = source;
+    this.today = today;
+    this.entries = entries.map((entry, index) => this.validate(entry, index));
+  }
+
+  /**
+   * Load a suppression file (a missing file means no suppressions)
+   */
+  static load(filePath, options = {}) {
+    if (!filePath || !fs.existsSync(filePath)) {
+      return new SuppressionList([], { ...options, source: filePath || null });
+    }
+
+    const data = yaml.load(fs.readFileSync(filePath, 'utf8')) || {};
+    if (data.suppressions !== undefined && data.suppressions !== null && !Array.isArray(data.suppressions)) {
+      throw new Error(`"suppressions" must be a list in ${filePath}`);
+    }
+
+    return new SuppressionList(data.suppressions || [], { ...options, source: filePath });
+  }
+
+  /**
+   * Check one entry; js-yaml reads unquoted dates as Date objects
+   */
+  validate(entry, index) {
+    const where = `Suppression #${index + 1}${this.source ? ` in ${this.source}` : ''}`;
+
+    if (!entry || typeof entry !== 'object') {
+      throw new Error(`${where} must be a mapping`);
+    }
+    if (!(entry.rule in RULES) && !(entry.rule in DETECTOR_RULES)) {
+      throw new Error(`${where} has an unknown rule "${entry.rule}"`);
+    }
+    if (!entry.operation && !entry.pointer) {
+      throw new Error(`${where} needs an operation or a pointer`);
+    }
+    if (entry.pointer && !String(entry.pointer).startsWith('/')) {
+      throw new Error(`${where} has an invalid JSON pointer "${entry.pointer}"`);
+    }
+    if (!entry.justification || !String(entry.justification).trim()) {
+      throw new Error(`${where} needs a justification`);
+    }
+
+    const expires = entry.expires instanceof Date ? entry.expires.toISOString().slice(0, 10) : String(entry.expires ?? '');
+    if (!DATE_PATTERN.test(expires)) {
+      throw new Error(`${where} needs an expiry date (YYYY-MM-DD)`);
+    }
+
+    return {
+      id: index + 1,
+      rule: entry.rule,
+      operation: entry.operation ? String(entry.operation).trim() : null,
+      pointer: entry.pointer ? String(entry.pointer) : null,
+      expires,
+      justification: String(entry.justification).trim()
+    };
+  }
+
+  /**
+   * Whether a suppression has expired (it still applies on its expiry date)
+   */
+  isExpired(entry) {
+    return entry.expires < this.today;
+  }
+
+  /**
+   * Whether a suppression matches a finding. `operationIds` maps
+   * `METHOD /path` to the operationId, so operations can be named either way.
+   */
+  matches(entry, finding, operationIds = new Map()) {
+    if (entry.rule !== finding.type) {
+      return false;
+    }
+
+    if (entry.operation) {
+      if (!finding.endpoint) {
+        return false;
+      }
+      const key = `${finding.endpoint.method} ${finding.endpoint.path}`;
+      const [method, ...rest] = entry.operation.split(/\s+/);
+      const named = rest.length > 0
+        ? `${method.toUpperCase()} ${rest.join(' ')}` === key
+        : operationIds.get(key) === entry.operation;
+      if (!named) {
+        return false;
+      }
+    }
+
+    if (entry.pointer) {
+      const pointer = finding.pointer || '';
+      if (pointer !== entry.pointer && !pointer.startsWith(`${entry.pointer}/`)) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Split findings into the ones still breaking and the suppressed ones, and
+   * list the expired and unused suppressions
+   */
+  apply(findings, operationIds = new Map()) {
+    const active = this.entries.filter(entry => !this.isExpired(entry));
+    const used = new Set();
+    const breaking = [];
+    const suppressed = [];
+
+    for (const finding of findings) {
+      const entry = active.find(candidate => this.matches(candidate, finding, operationIds));
+
+      if (entry) {
+        used.add(entry);
+        suppressed.push({ ...finding, suppression: { id: entry.id, justification: entry.justification, expires: entry.expires } });
+      } else {
+        breaking.push(finding);
+      }
+    }
+
+    return {
+      breaking,
+      suppressed,
+      expired: this.entries
+        .filter(entry => this.isExpired(entry))
+        .map(entry => ({ ...entry, matchesFindings: findings.some(finding => this.matches(entry, finding, operationIds)) })),
+      unused: active.filter(entry => !used.has(entry))
+    };
+  }
+}
+
+export default SuppressionList;
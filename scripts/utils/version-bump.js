@@ -0,0 +1,81 @@
+/**
+ * Version Bump helpers for WP Engine Customer API Documentation
+ *
+ * Semantic versioning of `info.version`: which bump a spec change requires
+ * (major for breaking changes, minor for additions, patch for documentation
+ * only) and which bump the API team actually declared.
+ */
+
+export const BUMPS = ['none', 'patch', 'minor', 'major'];
+
+// Keywords that only document the API; changing them never affects clients
+export const DOC_KEYWORDS = ['description', 'summary', 'title', 'example', 'examples', 'x-example', 'externalDocs'];
+
+// Maps whose keys are names (properties, status codes...), not keywords
+const NAMED_MAPS = ['properties', 'patternProperties', 'definitions', 'schemas', 'responses', 'headers', 'securityDefinitions'];
+
+/**
+ * Parse `major.minor.patch` (a leading `v` and pre-release or build suffixes are ignored)
+ */
+export function parseVersion(version) {
+  const match = String(version ?? '').trim().match(/^v?(\d+)(?:\.(\d+))?(?:\.(\d+))?/);
+  if (!match) {
+    return null;
+  }
+  return { major: Number(match[1]), minor: Number(match[2] || 0), patch: Number(match[3] || 0) };
+}
+
+/**
+ * The bump between two versions: `none`, `patch`, `minor`, `major`,
+ * `downgrade`, or `unknown` when either version is not semver
+ */
+export function declaredBump(oldVersion, newVersion) {
+  const before = parseVersion(oldVersion);
+  const after = parseVersion(newVersion);
+
+  if (!before || !after) {
+    return 'unknown';
+  }
+
+  for (const part of ['major', 'minor', 'patch']) {
+    if (after[part] > before[part]) {
+      return part;
+    }
+    if (after[part] < before[part]) {
+      return 'downgrade';
+    }
+  }
+
+  return 'none';
+}
+
+/**
+ * Check whether a declared bump is at least the required one. Before 1.0.0
+ * anything may change, so a minor bump is enough for breaking changes.
+ */
+export function satisfiesBump(declared, required, oldVersion) {
+  if (!BUMPS.includes(declared)) {
+    return false;
+  }
+
+  const initialDevelopment = parseVersion(oldVersion)?.major === 0;
+  const needed = initialDevelopment && required === 'major' ? 'minor' : required;
+
+  return BUMPS.indexOf(declared) >= BUMPS.indexOf(needed);
+}
+
+/**
+ * Remove documentation keywords from a spec fragment, keeping names in named maps
+ */
+export function stripDocs(value, named = false) {
+  if (Array.isArray(value)) {
+    return value.map(item => stripDocs(item));
+  }
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+
+  return Object.fromEntries(Object.entries(value)
+    .filter(([key]) => named || !DOC_KEYWORDS.includes(key))
+    .map(([key, child]) => [key, stripDocs(child, !named && NAMED_MAPS.includes(key))]));
+}
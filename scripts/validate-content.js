@@ -5,6 +5,7 @@ import path from 'path';
 import chalk from 'chalk';
 import { glob } from 'glob';
 import { fileURLToPath } from 'url';
+import { ContentMerger } from './utils/content-merger.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -23,6 +24,7 @@ class ContentValidator {
   constructor(options = {}) {
     this.options = {
       contentDir: path.resolve(__dirname, '../src/content/docs'),
+      publicDir: path.resolve(__dirname, '../public'),
       verbose: options.verbose || false,
       ...options
     };
@@ -40,28 +42,20 @@ class ContentValidator {
    * Main validation process
    */
   async validate() {
-    try {
-      console.log(chalk.bold.blue('🔍 WP Engine API Content Validator\n'));
-      
-      await this.scanFiles();
-      await this.validateFiles();
-      await this.validateLinks();
-      await this.validateAstroConfig();
-      
-      this.printSummary();
-      
-      // Exit with error code if there are errors
-      if (this.stats.errors.length > 0) {
-        process.exit(1);
-      }
-      
-    } catch (error) {
-      console.error(chalk.red('❌ Validation failed:'), error.message);
-      if (this.options.verbose) {
-        console.error(error.stack);
-      }
-      process.exit(1);
-    }
+    console.log(chalk.bold.blue('🔍 WP Engine API Content Validator\n'));
+    
+    await this.scanFiles();
+    await this.validateFiles();
+    await this.validateLinks();
+    await this.validateAstroConfig();
+    
+    this.printSummary();
+    
+    return {
+      filesChecked: this.stats.filesChecked,
+      errors: this.stats.errors,
+      warnings: this.stats.warnings
+    };
   }
 
   /**
@@ -75,7 +69,8 @@ class ContentValidator {
     
     files.forEach(file => {
       const relativePath = path.relative(this.options.contentDir, file);
-      this.stats.existingFiles.add('/' + relativePath.replace(/\.(md|mdx)$/, '/'));
+      // `section/index.mdx` is served at `/section/`
+      this.stats.existingFiles.add('/' + relativePath.replace(/\.(md|mdx)$/, '/').replace(/(^|\/)index\/$/, '$1'));
     });
     
     this.log(`✅ Found ${files.length} content files`);
@@ -179,8 +174,8 @@ class ContentValidator {
     const isHumanEditable = content.includes('HUMAN-EDITABLE: Safe to modify');
     
     // Check if generated files have proper markers
-    if (filePath.includes('/api-reference/endpoints/') && !isGenerated && !isHybrid && !isHumanEditable) {
-      this.addWarning(filePath, 'API endpoint file missing content type marker');
+    if ((filePath.includes('/api-reference/endpoints/') || filePath.includes('/api-reference/models/')) && !isGenerated && !isHybrid && !isHumanEditable) {
+      this.addWarning(filePath, 'API reference file missing content type marker');
     }
     
     // Check for orphaned custom sections
@@ -193,6 +188,11 @@ class ContentValidator {
     if (customStarts.length !== customEnds.length) {
       this.addError(filePath, 'Mismatched CUSTOM-START/CUSTOM-END markers');
     }
+    
+    // Check that generated content was only edited inside custom blocks
+    if ((isGenerated || isHybrid) && new ContentMerger().checkIntegrity(content) === 'modified') {
+      this.addWarning(filePath, 'Auto-generated content was edited outside CUSTOM blocks and will not be regenerated');
+    }
   }
 
   /**
@@ -219,9 +219,11 @@ class ContentValidator {
    * Validate formatting consistency
    */
   validateFormatting(filePath, content) {
-    // Check for inconsistent heading levels
+    // Check for inconsistent heading levels. Starlight renders the frontmatter
+    // title as the page's H1, so content headings start at H2.
     const headings = content.match(/^#+\s+.+$/gm) || [];
-    let lastLevel = 0;
+    const frontmatter = content.match(/^---\n([\s\S]*?)\n---/)?.[1] || '';
+    let lastLevel = /^title:/m.test(frontmatter) ? 1 : 0;
     
     headings.forEach((heading, index) => {
       const level = heading.match(/^#+/)[0].length;
@@ -251,9 +253,13 @@ class ContentValidator {
     let brokenLinks = 0;
     
     for (const link of this.stats.internalLinks) {
-      const targetPath = link.url.endsWith('/') ? link.url : link.url + '/';
+      const url = link.url.split('#')[0];
+      const targetPath = url.endsWith('/') ? url : url + '/';
       
-      if (!this.stats.existingFiles.has(targetPath)) {
+      // Links to static files (e.g. the changelog feed) resolve against the public directory
+      const isStaticFile = path.extname(url) !== '' && await fs.pathExists(path.join(this.options.publicDir, url));
+      
+      if (!isStaticFile && !this.stats.existingFiles.has(targetPath)) {
         this.addError(link.file, `Broken internal link: ${link.url} (text: "${link.text}")`);
         brokenLinks++;
       }
@@ -399,13 +405,21 @@ async function main() {
   };
   
   const validator = new ContentValidator(options);
-  await validator.validate();
+  const result = await validator.validate();
+  
+  // Exit with error code if there are errors
+  if (result.errors.length > 0) {
+    process.exit(1);
+  }
 }
 
 // Run if called directly
 if (import.meta.url === `file://${process.argv[1]}`) {
   main().catch(error => {
-    console.error(chalk.red('Fatal error:'), error);
+    console.error(chalk.red('❌ Validation failed:'), error.message);
+    if (process.argv.includes('--verbose') || process.argv.includes('-v')) {
+      console.error(error.stack);
+    }
     process.exit(1);
   });
 }
@@ -0,0 +1,74 @@
+/**
+ * Astro integration that regenerates the API reference pages while `astro dev`
+ * is running.
+ *
+ * Watches the OpenAPI specification, the sanitizer rules, the Handlebars
+ * templates and `docs.config.js` itself through the dev server's file
+ * watcher, reruns the documentation generator for the affected inputs and
+ * reloads the browser. Generation errors are shown in the dev server overlay
+ * instead of stopping the server.
+ */
+
+const DEBOUNCE_MS = 150;
+
+// Astro loads this file through Vite's module runner, which rewrites `import()`
+// and is closed once the config is loaded. The generator, which imports the docs
+// config and plugin modules while it runs, is therefore loaded with Node's own
+// `import()` when the dev server starts, and is not bundled into the Astro config.
+const nativeImport = new Function('specifier', 'return import(specifier)');
+
+/**
+ * Create the docs watch integration
+ */
+export default function apiDocsWatch(options = {}) {
+  return {
+    name: 'wpe-api-docs-watch',
+    hooks: {
+      'astro:server:setup': async ({ server, logger }) => {
+        const { DocumentationGenerator } = await nativeImport(new URL('../../scripts/generate-docs.js', import.meta.url).href);
+        const { DocsConfig } = await nativeImport(new URL('../../scripts/utils/docs-config.js', import.meta.url).href);
+        const config = await DocsConfig.load();
+        const generator = new DocumentationGenerator({ ...config.generatorOptions(), ...options });
+        let pending = new Set();
+        let timer = null;
+        let queue = Promise.resolve();
+
+        const flush = () => {
+          const files = [...pending];
+          pending = new Set();
+
+          queue = queue
+            .then(() => generator.regenerate(files))
+            .then(changes => {
+              // The reloaded config may point at other specs, templates or plugins
+              if (changes.has('config')) server.watcher.add(generator.getWatchPaths());
+              server.ws.send({ type: 'full-reload' });
+            })
+            .catch(error => {
+              logger.error(`API docs generation failed: ${error.message}`);
+              server.ws.send({
+                type: 'error',
+                err: {
+                  message: error.message,
+                  stack: error.stack || '',
+                  plugin: 'wpe-api-docs',
+                  id: files[0]
+                }
+              });
+            });
+        };
+
+        server.watcher.add(generator.getWatchPaths());
+        server.watcher.on('all', (event, file) => {
+          if (generator.classifyChanges([file]).size === 0) return;
+
+          pending.add(file);
+          clearTimeout(timer);
+          timer = setTimeout(flush, DEBOUNCE_MS);
+        });
+
+        logger.info('Watching OpenAPI spec and templates for API docs changes');
+      }
+    }
+  };
+}